@@ -4,7 +4,6 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
-const path = require('path');
 
 // Load environment variables
 dotenv.config();
@@ -14,21 +13,56 @@ require('./models/User');
 require('./models/Restaurant');
 require('./models/Menu');
 require('./models/Item');
+require('./models/Category');
 require('./models/Display');
 require('./models/Schedule');
+require('./models/Playlist');
+require('./models/MediaAsset');
+require('./models/Invitation');
+require('./models/Organization');
+require('./models/CatalogItem');
+require('./models/RefreshToken');
+require('./models/AccountToken');
+require('./models/RateLimitCounter');
+require('./models/PriceSchedule');
+require('./models/PriceHistory');
+require('./models/StockHistory');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const menuRoutes = require('./routes/menus');
 const itemRoutes = require('./routes/items');
+const categoryRoutes = require('./routes/categories');
 const displayRoutes = require('./routes/displays');
 const restaurantRoutes = require('./routes/restaurants');
+const scheduleRoutes = require('./routes/schedules');
+const playlistRoutes = require('./routes/playlists');
+const mediaRoutes = require('./routes/media');
+const organizationRoutes = require('./routes/organizations');
 
 // Import middleware
 const { authenticateToken } = require('./middleware/auth');
 
+// Import services
+const { startScheduler } = require('./services/scheduler');
+const { registerSocketHandlers } = require('./services/sockets');
+const { startDisplayMonitor } = require('./services/displayMonitor');
+const { startMediaSweeper } = require('./services/mediaSweeper');
+const { serveUpload } = require('./services/storage');
+
 const app = express();
 const server = createServer(app);
+
+// Behind a load balancer, TRUST_PROXY makes req.ip the real client address (used for rate limiting)
+// (`true`/`false`, a hop count, or the proxy addresses/subnets)
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy === 'true') {
+  app.set('trust proxy', true);
+} else if (/^\d+$/.test(trustProxy || '')) {
+  app.set('trust proxy', Number(trustProxy));
+} else if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', trustProxy);
+}
 const io = new Server(server, {
   cors: {
     origin: [
@@ -69,38 +103,23 @@ app.use((req, res, next) => {
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve uploads from the configured storage driver (local file or redirect)
+app.get('/uploads/:key', serveUpload);
 
 // Database connection
 mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/yardsign')
   .then(() => {
     console.log('✅ Connected to MongoDB');
+    startScheduler(io);
+    startDisplayMonitor(io);
+    startMediaSweeper();
   })
   .catch((error) => {
     console.error('❌ MongoDB connection error:', error);
   });
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log('🔌 Client connected:', socket.id);
-
-  // Join display room when display connects
-  socket.on('join-display', (displayId) => {
-    socket.join(`display-${displayId}`);
-    console.log(`📺 Display ${displayId} joined room`);
-  });
-
-  // Handle display pairing
-  socket.on('pair-display', (data) => {
-    socket.join(`pairing-${data.pairingCode}`);
-    console.log(`🔗 Display pairing with code: ${data.pairingCode}`);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('🔌 Client disconnected:', socket.id);
-  });
-});
+// Socket.IO connection handling; pairing backoff keys on the same client IP as req.ip
+registerSocketHandlers(io, { trustProxy: app.get('trust proxy fn') });
 
 // Make io available to routes
 app.set('io', io);
@@ -118,8 +137,13 @@ app.get('/auth/test', authenticateToken, (req, res) => {
 app.use('/auth', authRoutes); // 🔓 Auth routes are PUBLIC (login/register don't need tokens)
 app.use('/menus', authenticateToken, menuRoutes); // 🔒 Protected routes need tokens
 app.use('/items', authenticateToken, itemRoutes);
-app.use('/displays', authenticateToken, displayRoutes);
+app.use('/categories', authenticateToken, categoryRoutes);
+app.use('/displays', displayRoutes); // Pairing routes are public; the rest authenticate per route
 app.use('/restaurants', authenticateToken, restaurantRoutes);
+app.use('/schedules', authenticateToken, scheduleRoutes);
+app.use('/playlists', authenticateToken, playlistRoutes);
+app.use('/media', authenticateToken, mediaRoutes);
+app.use('/organizations', authenticateToken, organizationRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
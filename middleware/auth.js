@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Display = require('../models/Display');
+
+// Tokens from before a logout-all or password change carry an older version
+const isCurrentTokenVersion = (decoded, user) => (decoded.tokenVersion || 0) === (user.tokenVersion || 0);
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -13,15 +17,90 @@ const authenticateToken = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await User.findById(decoded.userId).populate('restaurant');
     
-    if (!user) {
+    if (!user || !isCurrentTokenVersion(decoded, user)) {
       return res.status(401).json({ error: 'Invalid token' });
     }
 
     req.user = user;
     next();
   } catch (error) {
+    // Expired access tokens get a 401 so clients know to refresh
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expired' });
+    }
     return res.status(403).json({ error: 'Invalid token' });
   }
 };
 
-module.exports = { authenticateToken }; 
\ No newline at end of file
+// Device tokens never expire on their own; they stay valid until the display
+// is re-paired or the owner revokes them
+const signDeviceToken = (display) => jwt.sign(
+  { type: 'device', displayId: display._id, tokenId: display.deviceTokenId },
+  process.env.JWT_SECRET
+);
+
+// Resolve a device token to its display, or null if invalid or revoked
+const verifyDeviceToken = async (token) => {
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== 'device' || !decoded.tokenId) return null;
+
+    const display = await Display.findById(decoded.displayId);
+    if (!display || display.deviceTokenId !== decoded.tokenId) return null;
+
+    return display;
+  } catch (error) {
+    return null;
+  }
+};
+
+const authenticateDevice = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Device token required' });
+  }
+
+  const display = await verifyDeviceToken(token);
+  if (!display) {
+    return res.status(401).json({ error: 'Invalid or revoked device token' });
+  }
+
+  req.display = display;
+  next();
+};
+
+// Socket.IO handshake: accepts a device token or a user JWT via `auth.token` or
+// the Authorization header. Connections without a token may only pair.
+const authenticateSocket = async (socket, next) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  const token = auth.token || (headers.authorization && headers.authorization.split(' ')[1]);
+
+  if (!token) {
+    return next();
+  }
+
+  const display = await verifyDeviceToken(token);
+  if (display) {
+    socket.data.display = display;
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+    if (user && isCurrentTokenVersion(decoded, user)) {
+      socket.data.user = user;
+      return next();
+    }
+  } catch (error) {
+    // Fall through to the rejection below
+  }
+
+  next(new Error('Invalid token'));
+};
+
+module.exports = { authenticateToken, authenticateDevice, authenticateSocket, signDeviceToken, verifyDeviceToken };
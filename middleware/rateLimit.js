@@ -0,0 +1,46 @@
+const { consume, getLockout } = require('../services/rateLimiter');
+
+// Reject with 429 and tell the client when to retry
+const sendTooManyRequests = (res, retryAfterMs, error = 'Too many requests, please try again later') => {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+};
+
+// Allow `max` requests per `windowMs` for each key (the client IP by default)
+const rateLimit = ({ name, max, windowMs, key = (req) => req.ip, message }) => async (req, res, next) => {
+  try {
+    const result = await consume(`${name}:${key(req)}`, { max, windowMs });
+
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000)))
+    });
+
+    if (!result.allowed) {
+      return sendTooManyRequests(res, result.resetAt - Date.now(), message);
+    }
+    next();
+  } catch (error) {
+    // Don't take the API down with the counter store
+    console.error('Rate limit error:', error);
+    next();
+  }
+};
+
+// Reject while the key is locked out after repeated failures
+const checkLockout = (key, message) => async (req, res, next) => {
+  try {
+    const lockoutMs = await getLockout(key(req));
+    if (lockoutMs > 0) {
+      return sendTooManyRequests(res, lockoutMs, message);
+    }
+    next();
+  } catch (error) {
+    console.error('Lockout check error:', error);
+    next();
+  }
+};
+
+module.exports = { rateLimit, checkLockout, sendTooManyRequests };
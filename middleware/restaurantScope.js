@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const Restaurant = require('../models/Restaurant');
+const Organization = require('../models/Organization');
+const Display = require('../models/Display');
+const Menu = require('../models/Menu');
+const Item = require('../models/Item');
+const Category = require('../models/Category');
+const Schedule = require('../models/Schedule');
+const Playlist = require('../models/Playlist');
+const MediaAsset = require('../models/MediaAsset');
+
+// What each restaurant role may do
+const ROLE_PERMISSIONS = {
+  owner: ['restaurant:view', 'restaurant:update', 'members:manage', 'content:edit', 'displays:manage', 'items:toggle'],
+  manager: ['restaurant:view', 'content:edit', 'displays:manage', 'items:toggle'],
+  staff: ['restaurant:view', 'items:toggle']
+};
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+// The user's role in the restaurant, or null if they are not a member
+const getRole = (restaurant, user) => {
+  if (!restaurant || !user) return null;
+
+  const userId = user._id.toString();
+  const ownerId = idOf(restaurant.owner);
+  if (ownerId && ownerId.toString() === userId) return 'owner';
+
+  const member = (restaurant.members || []).find(m => idOf(m.user).toString() === userId);
+  return member ? member.role : null;
+};
+
+// Whether the user's role in the restaurant grants the permission
+const hasPermission = (restaurant, user, permission = 'restaurant:view') => {
+  const role = getRole(restaurant, user);
+  return Boolean(role) && ROLE_PERMISSIONS[role].includes(permission);
+};
+
+// Query matching restaurants the user owns or belongs to
+const membershipQuery = (user) => ({
+  $or: [{ owner: user._id }, { 'members.user': user._id }]
+});
+
+// Load `req.restaurant` from a route param and verify the user's permission on it
+const requireRestaurant = (permission = 'restaurant:view', param = 'restaurantId') => async (req, res, next) => {
+  try {
+    const restaurantId = req.params[param];
+    const restaurant = mongoose.isValidObjectId(restaurantId)
+      ? await Restaurant.findById(restaurantId)
+      : null;
+
+    if (!hasPermission(restaurant, req.user, permission)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    req.restaurant = restaurant;
+    next();
+  } catch (error) {
+    console.error('Restaurant scope error:', error);
+    res.status(500).json({ error: 'Failed to verify restaurant access' });
+  }
+};
+
+// Load `req.organization` from a route param; only its owner may manage it
+const requireOrganization = (param = 'organizationId') => async (req, res, next) => {
+  try {
+    const organizationId = req.params[param];
+    const organization = mongoose.isValidObjectId(organizationId)
+      ? await Organization.findById(organizationId)
+      : null;
+
+    if (!organization || organization.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    req.organization = organization;
+    next();
+  } catch (error) {
+    console.error('Organization scope error:', error);
+    res.status(500).json({ error: 'Failed to verify organization access' });
+  }
+};
+
+// Build middleware that loads a document by route param, resolves the
+// restaurant listing it under `field` and verifies the user's permission
+// there. Sets `req[key]` and `req.restaurant`; missing documents are 404,
+// documents the user may not touch are 403.
+const requireRestaurantDocument = ({ model, param, field, key, label }) => (permission = 'restaurant:view') => async (req, res, next) => {
+  try {
+    const id = req.params[param];
+    const doc = mongoose.isValidObjectId(id) ? await model.findById(id) : null;
+    if (!doc) {
+      return res.status(404).json({ error: `${label} not found` });
+    }
+
+    const restaurant = await Restaurant.findOne({ [field]: doc._id });
+    if (!hasPermission(restaurant, req.user, permission)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    req[key] = doc;
+    req.restaurant = restaurant;
+    next();
+  } catch (error) {
+    console.error(`${label} scope error:`, error);
+    res.status(500).json({ error: `Failed to verify ${label.toLowerCase()} access` });
+  }
+};
+
+const requireDisplay = requireRestaurantDocument({
+  model: Display,
+  param: 'displayId',
+  field: 'displays',
+  key: 'display',
+  label: 'Display'
+});
+
+const requireMenu = requireRestaurantDocument({
+  model: Menu,
+  param: 'menuId',
+  field: 'menus',
+  key: 'menu',
+  label: 'Menu'
+});
+
+const requireItem = requireRestaurantDocument({
+  model: Item,
+  param: 'itemId',
+  field: 'items',
+  key: 'item',
+  label: 'Item'
+});
+
+const requireCategory = requireRestaurantDocument({
+  model: Category,
+  param: 'categoryId',
+  field: 'categories',
+  key: 'category',
+  label: 'Category'
+});
+
+const requireSchedule = requireRestaurantDocument({
+  model: Schedule,
+  param: 'scheduleId',
+  field: 'schedules',
+  key: 'schedule',
+  label: 'Schedule'
+});
+
+const requirePlaylist = requireRestaurantDocument({
+  model: Playlist,
+  param: 'playlistId',
+  field: 'playlists',
+  key: 'playlist',
+  label: 'Playlist'
+});
+
+const requireMediaAsset = requireRestaurantDocument({
+  model: MediaAsset,
+  param: 'assetId',
+  field: 'mediaAssets',
+  key: 'asset',
+  label: 'Media asset'
+});
+
+// Whether every ID in `ids` is listed in the restaurant's `field` array
+const belongsToRestaurant = (restaurant, field, ids) => {
+  const owned = new Set(restaurant[field].map(id => id.toString()));
+  return [].concat(ids).every(id => owned.has(String(id)));
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  getRole,
+  hasPermission,
+  membershipQuery,
+  requireRestaurant,
+  requireOrganization,
+  requireRestaurantDocument,
+  requireDisplay,
+  requireMenu,
+  requireItem,
+  requireCategory,
+  requireSchedule,
+  requirePlaylist,
+  requireMediaAsset,
+  belongsToRestaurant
+};
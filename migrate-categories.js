@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const Restaurant = require('./models/Restaurant');
+const Item = require('./models/Item');
+const Menu = require('./models/Menu');
+const { findOrCreateCategory } = require('./services/categories');
+const { sectionsFromItems } = require('./services/menus');
+
+// Moves data from before categories and menu sections existed:
+// - free-text `Item.category` strings become the restaurant's Category
+//   documents ("Drinks" and "drinks " end up in the same one)
+// - flat menus get one section per category, in category order
+//
+//   npm run migrate:categories -- [--dry-run]
+//
+// Safe to run more than once; migrated documents are skipped.
+
+async function migrateCategories() {
+  try {
+    const dryRun = process.argv.includes('--dry-run');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/yardsign');
+    console.log('✅ Connected to MongoDB');
+
+    let itemCount = 0;
+    let menuCount = 0;
+
+    const restaurants = await Restaurant.find({});
+    for (const restaurant of restaurants) {
+      // Raw collection reads: the old string values don't cast to the current schema
+      const items = await Item.collection.find({ _id: { $in: restaurant.items }, category: { $type: 'string' } }).toArray();
+      for (const item of items) {
+        const name = item.category.trim() || 'Uncategorized';
+        if (!dryRun) {
+          const category = await findOrCreateCategory(restaurant, name);
+          await Item.collection.updateOne({ _id: item._id }, { $set: { category: category._id } });
+        }
+        itemCount++;
+      }
+
+      const menus = await Menu.collection.find({
+        _id: { $in: restaurant.menus },
+        'sections.0': { $exists: false },
+        'items.0': { $exists: true }
+      }).toArray();
+      for (const menu of menus) {
+        if (!dryRun) {
+          await Menu.updateOne({ _id: menu._id }, { $set: { sections: await sectionsFromItems(menu.items) } });
+        }
+        menuCount++;
+      }
+
+      if (items.length || menus.length) {
+        console.log(`📂 ${restaurant.name}: ${items.length} item(s), ${menus.length} menu(s)`);
+      }
+    }
+
+    console.log(`\n🎉 ${dryRun ? 'Would migrate' : 'Migrated'} ${itemCount} item(s) and ${menuCount} menu(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating categories:', error);
+    process.exit(1);
+  }
+}
+
+migrateCategories();
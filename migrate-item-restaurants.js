@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const Restaurant = require('./models/Restaurant');
+const Item = require('./models/Item');
+
+// Sets `Item.restaurant` on items from before the field existed, from the
+// restaurant that lists the item. Items no restaurant lists are reported and
+// left alone.
+//
+//   npm run migrate:items -- [--dry-run]
+//
+// Safe to run more than once; items that have a restaurant are skipped.
+
+async function migrateItemRestaurants() {
+  try {
+    const dryRun = process.argv.includes('--dry-run');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/yardsign');
+    console.log('✅ Connected to MongoDB');
+
+    let itemCount = 0;
+
+    const restaurants = await Restaurant.find({}, 'name items');
+    for (const restaurant of restaurants) {
+      const filter = { _id: { $in: restaurant.items }, restaurant: null };
+      const count = await Item.countDocuments(filter);
+      if (count === 0) continue;
+
+      if (!dryRun) {
+        await Item.updateMany(filter, { $set: { restaurant: restaurant._id } });
+      }
+      itemCount += count;
+      console.log(`🍔 ${restaurant.name}: ${count} item(s)`);
+    }
+
+    const orphans = await Item.countDocuments({ restaurant: null, _id: { $nin: restaurants.flatMap(restaurant => restaurant.items) } });
+    if (orphans) {
+      console.log(`⚠️  ${orphans} item(s) belong to no restaurant`);
+    }
+
+    console.log(`\n🎉 ${dryRun ? 'Would migrate' : 'Migrated'} ${itemCount} item(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating item restaurants:', error);
+    process.exit(1);
+  }
+}
+
+migrateItemRestaurants();
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const Restaurant = require('./models/Restaurant');
+const Organization = require('./models/Organization');
+const Item = require('./models/Item');
+const CatalogItem = require('./models/CatalogItem');
+const { DEFAULT_CURRENCY, isValidCurrency, toMinorUnits } = require('./services/money');
+
+// Moves prices from before currencies existed: decimal amounts (12.99)
+// become integer minor units of the currency (1299), and restaurants and
+// organizations without a currency are stamped with it.
+//
+//   npm run migrate:prices -- [--currency EUR] [--dry-run]
+//
+// --currency  currency the existing prices are in (default USD)
+//
+// Safe to run more than once: it converts only items and catalog items not
+// marked `pricesInMinorUnits`, which they are once created, repriced or
+// converted. A restaurant saved since the upgrade may have gained the default
+// currency, so having one doesn't mean its prices were converted.
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+// Converted prices of a raw item document: the price itself, every variant
+// and every modifier option
+const convertPrices = (doc, currency) => {
+  const update = {};
+  if (typeof doc.price === 'number') update.price = toMinorUnits(doc.price, currency);
+  if (Array.isArray(doc.variants)) {
+    update.variants = doc.variants.map(variant => ({ ...variant, price: toMinorUnits(variant.price || 0, currency) }));
+  }
+  if (Array.isArray(doc.modifierGroups)) {
+    update.modifierGroups = doc.modifierGroups.map(group => ({
+      ...group,
+      options: (group.options || []).map(option => ({ ...option, price: toMinorUnits(option.price || 0, currency) }))
+    }));
+  }
+  update.pricesInMinorUnits = true;
+  return update;
+};
+
+// Convert the prices of a collection's unconverted documents; returns how many there were
+const migrateCollection = async (Model, filter, currency, dryRun) => {
+  // Raw collection reads: the decimal prices don't pass the current validators
+  const docs = await Model.collection.find({ ...filter, pricesInMinorUnits: { $ne: true } }).toArray();
+  if (!dryRun && docs.length) {
+    await Model.collection.bulkWrite(docs.map(doc => ({
+      updateOne: { filter: { _id: doc._id }, update: { $set: convertPrices(doc, currency) } }
+    })));
+  }
+  return docs.length;
+};
+
+async function migratePrices() {
+  try {
+    const dryRun = process.argv.includes('--dry-run');
+    const currency = (argValue('--currency') || DEFAULT_CURRENCY).toUpperCase();
+    if (!isValidCurrency(currency)) {
+      console.error(`❌ Unknown currency: ${currency}`);
+      process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/yardsign');
+    console.log('✅ Connected to MongoDB');
+
+    let itemCount = 0;
+    let catalogItemCount = 0;
+
+    const restaurants = await Restaurant.collection.find({}).toArray();
+    for (const restaurant of restaurants) {
+      const count = await migrateCollection(Item, { _id: { $in: restaurant.items || [] } }, currency, dryRun);
+      if (!dryRun && !restaurant.currency) {
+        await Restaurant.collection.updateOne({ _id: restaurant._id }, { $set: { currency } });
+      }
+      itemCount += count;
+      if (count) console.log(`💲 ${restaurant.name}: ${count} item(s)`);
+    }
+
+    const organizations = await Organization.collection.find({}).toArray();
+    for (const organization of organizations) {
+      const count = await migrateCollection(CatalogItem, { organization: organization._id }, currency, dryRun);
+      if (!dryRun && !organization.currency) {
+        await Organization.collection.updateOne({ _id: organization._id }, { $set: { currency } });
+      }
+      catalogItemCount += count;
+      if (count) console.log(`💲 ${organization.name}: ${count} catalog item(s)`);
+    }
+
+    console.log(`\n🎉 ${dryRun ? 'Would convert' : 'Converted'} ${itemCount} item(s) and ${catalogItemCount} catalog item(s) to ${currency} minor units`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating prices:', error);
+    process.exit(1);
+  }
+}
+
+migratePrices();
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const { createLocalDriver, getStorage } = require('./services/storage');
+const { detectFileType } = require('./services/fileType');
+
+// Copies files from a local uploads directory into the configured storage
+// driver. Stored `/uploads/<key>` URLs stay valid, so no database changes are needed.
+//
+//   npm run migrate:uploads -- [--from ./uploads] [--dry-run] [--force] [--delete]
+//
+//   --from     source directory (default: UPLOAD_PATH, then ./uploads)
+//   --dry-run  list what would be copied without copying
+//   --force    overwrite files that already exist in the target
+//   --delete   remove each local file once it has been copied
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false, force: false, delete: false, from: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') args.dryRun = true;
+    else if (argv[i] === '--force') args.force = true;
+    else if (argv[i] === '--delete') args.delete = true;
+    else if (argv[i] === '--from') args.from = argv[++i];
+    else throw new Error(`Unknown option ${argv[i]}`);
+  }
+  return args;
+};
+
+async function migrateUploads() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const from = path.resolve(args.from || process.env.UPLOAD_PATH || path.join(__dirname, 'uploads'));
+    const source = createLocalDriver({ root: from });
+    const target = getStorage();
+
+    if (target.name === 'local') {
+      throw new Error('STORAGE_DRIVER is local; set it to the backend to migrate into');
+    }
+
+    const files = await source.list();
+    console.log(`📦 ${files.length} file(s) in ${from} → ${target.name} storage${args.dryRun ? ' (dry run)' : ''}`);
+
+    let copied = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    for (const { key } of files) {
+      try {
+        if (!args.force && await target.exists(key)) {
+          console.log(`⏭️  ${key} already exists`);
+          skipped++;
+          continue;
+        }
+
+        if (args.dryRun) {
+          console.log(`➡️  ${key}`);
+          copied++;
+          continue;
+        }
+
+        const buffer = await fs.promises.readFile(path.join(from, key));
+        // Content type from the file's bytes; files outside the upload allowlist are stored as downloads
+        const detected = detectFileType(buffer);
+        const contentType = detected ? detected.mimeType : 'application/octet-stream';
+        await target.put(key, buffer, { contentType });
+        if (args.delete) await source.delete(key);
+
+        console.log(`✅ ${key}`);
+        copied++;
+      } catch (error) {
+        console.error(`❌ ${key}:`, error.message);
+        failed++;
+      }
+    }
+
+    console.log(`\n🎉 ${args.dryRun ? 'Would copy' : 'Copied'} ${copied}, skipped ${skipped}, failed ${failed}`);
+    process.exit(failed ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error migrating uploads:', error.message);
+    process.exit(1);
+  }
+}
+
+migrateUploads();
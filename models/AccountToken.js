@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Single-use, time-limited tokens emailed for password resets and email
+// verification. Only the token hash is stored.
+const accountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password-reset', 'email-verification'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop expired tokens
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Issue a token, retiring any unused one issued earlier for the same purpose
+accountTokenSchema.statics.issue = async function(user, purpose, ttl) {
+  await this.updateMany({ user: user._id, purpose, usedAt: null }, { usedAt: new Date() });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const record = await this.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttl)
+  });
+  return { token, record };
+};
+
+// Atomically mark a valid token used; resolves to the record or null
+accountTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(String(token)), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Item = require('./Item');
+const { entersMinorUnits } = require('../services/money');
+
+// Organization-wide master item. Locations hold linked copies (Item.catalogItem)
+// that follow it, except for the price and availability they override.
+const catalogItemSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Minor units of the organization's currency, like Item.price
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: {
+      validator: Number.isInteger,
+      message: props => `${props.value} is not a whole number of minor units (e.g. cents)`
+    }
+  },
+  // Like Item.pricesInMinorUnits
+  pricesInMinorUnits: Boolean,
+  // Same allergen, dietary and nutrition fields as location items
+  allergens: Item.schema.obj.allergens,
+  dietaryTags: Item.schema.obj.dietaryTags,
+  nutrition: Item.schema.obj.nutrition,
+  imageUrl: {
+    type: String,
+    trim: true
+  },
+  category: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+catalogItemSchema.pre('validate', function(next) {
+  if (entersMinorUnits(this)) this.pricesInMinorUnits = true;
+  next();
+});
+
+module.exports = mongoose.model('CatalogItem', catalogItemSchema);
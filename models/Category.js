@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Case- and whitespace-insensitive form of a name, so "Drinks" and "drinks " match
+const normalizeName = (name) => String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// A restaurant's item category, shown as a menu section heading
+const categorySchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // normalizeName(name); unique per restaurant
+  key: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Position among the restaurant's categories, lowest first
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Emoji or icon name the boards render next to the heading
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: 64
+  },
+  // Hex color, e.g. "#d9480f"
+  color: {
+    type: String,
+    trim: true,
+    match: /^#[0-9a-fA-F]{6}$/
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ restaurant: 1, key: 1 }, { unique: true });
+
+categorySchema.pre('validate', function(next) {
+  if (this.name) this.name = this.name.replace(/\s+/g, ' ');
+  if (this.isModified('name')) this.key = normalizeName(this.name);
+  next();
+});
+
+categorySchema.statics.normalizeName = normalizeName;
+
+module.exports = mongoose.model('Category', categorySchema);
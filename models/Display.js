@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const PAIRING_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const PAIRING_CODE_LENGTH = 6;
+const PAIRING_CODE_TTL = (parseInt(process.env.PAIRING_CODE_TTL_MINUTES, 10) || 15) * 60 * 1000;
 
 const displaySchema = new mongoose.Schema({
   name: {
@@ -11,10 +16,40 @@ const displaySchema = new mongoose.Schema({
     unique: true,
     sparse: true
   },
+  pairingCodeExpiresAt: {
+    type: Date
+  },
+  // Identifier embedded in the current device token; clearing it revokes the token
+  deviceTokenId: {
+    type: String,
+    default: null
+  },
+  pairedAt: {
+    type: Date
+  },
   currentMenu: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Menu'
   },
+  // Schedule slot that last set currentMenu; lets the scheduler tell a slot
+  // boundary apart from a manual assignment made during the slot
+  activeSchedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule',
+    default: null
+  },
+  // Rotation shown by the screen; when unset the screen shows currentMenu and the media below
+  currentPlaylist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist',
+    default: null
+  },
+  // Library asset shown as the display's media; mediaUrl/mediaType mirror it
+  mediaAsset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MediaAsset',
+    default: null
+  },
   mediaUrl: {
     type: String
   },
@@ -22,17 +57,58 @@ const displaySchema = new mongoose.Schema({
     type: String,
     enum: ['image', 'video', null],
     default: null
+  },
+  // Image sizes from the media asset, keyed by rendition name: { url, width, height }
+  mediaRenditions: {
+    type: Map,
+    of: new mongoose.Schema({ url: String, width: Number, height: Number }, { _id: false }),
+    default: undefined
+  },
+  // How the screen shows sold-out items: left out, greyed out or stamped "sold out"
+  soldOutMode: {
+    type: String,
+    enum: ['hide', 'grey', 'stamp'],
+    default: 'stamp'
+  },
+  // Reported by the screen's heartbeats
+  status: {
+    type: String,
+    enum: ['online', 'offline'],
+    default: 'offline'
+  },
+  lastSeenAt: {
+    type: Date
+  },
+  deviceInfo: {
+    appVersion: String,
+    resolution: String,
+    renderingMenu: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Menu'
+    }
   }
 }, {
   timestamps: true
 });
 
-// Generate pairing code before saving
+// Random code from an alphabet without look-alike characters (0/O, 1/I)
+displaySchema.statics.generatePairingCode = function() {
+  let code = '';
+  for (let i = 0; i < PAIRING_CODE_LENGTH; i++) {
+    code += PAIRING_CODE_ALPHABET[crypto.randomInt(PAIRING_CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+// Generate pairing code for new displays and restart its expiry whenever it changes
 displaySchema.pre('save', function(next) {
-  if (!this.pairingCode) {
-    this.pairingCode = Math.random().toString(36).substring(2, 8).toUpperCase();
+  if (this.isNew && !this.pairingCode) {
+    this.pairingCode = this.constructor.generatePairingCode();
+  }
+  if (this.pairingCode && this.isModified('pairingCode')) {
+    this.pairingCodeExpiresAt = new Date(Date.now() + PAIRING_CODE_TTL);
   }
   next();
 });
 
-module.exports = mongoose.model('Display', displaySchema); 
\ No newline at end of file
+module.exports = mongoose.model('Display', displaySchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Only the token hash is stored; the token itself is only ever emailed
+const invitationSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['manager', 'staff'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + INVITATION_TTL)
+  },
+  acceptedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Create an invitation and return it with its plain token
+invitationSchema.statics.createWithToken = async function(fields) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitation = await this.create({ ...fields, tokenHash: hashToken(token) });
+  return { invitation, token };
+};
+
+// Find a pending, unexpired invitation by its plain token
+invitationSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(String(token)),
+    acceptedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -1,35 +1,305 @@
 const mongoose = require('mongoose');
+const PriceHistory = require('./PriceHistory');
+const { effectivePrices, entersMinorUnits } = require('../services/money');
+const { ALLERGENS, DIETARY_TAGS } = require('../services/dietary');
 
-const itemSchema = new mongoose.Schema({
+// Prices are integers in the restaurant currency's minor unit, e.g. 1299 for $12.99
+const isMinorUnits = {
+  validator: Number.isInteger,
+  message: props => `${props.value} is not a whole number of minor units (e.g. cents)`
+};
+
+// A size or version of an item with its own price, e.g. Small / Medium / Large
+const variantSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
     trim: true
   },
-  description: {
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: isMinorUnits
+  },
+  // Calories of this size, when it differs from the item's nutrition
+  calories: {
+    type: Number,
+    min: 0
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+  // When a sold-out variant comes back automatically
+  restoreAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// An add-on choice; `price` is added to the item or variant price
+const modifierOptionSchema = new mongoose.Schema({
+  name: {
     type: String,
+    required: true,
     trim: true
   },
   price: {
     type: Number,
+    default: 0,
+    min: 0,
+    validate: isMinorUnits
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// A set of add-ons, e.g. "Extras" with "Extra cheese +1.50". Customers pick
+// between minSelections and maxSelections options (null: no limit).
+const modifierGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
     required: true,
+    trim: true
+  },
+  minSelections: {
+    type: Number,
+    default: 0,
     min: 0
   },
-  imageUrl: {
+  maxSelections: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  options: [modifierOptionSchema]
+});
+
+// Per serving. Weights in grams, sodium in milligrams.
+const nutritionSchema = new mongoose.Schema({
+  calories: { type: Number, min: 0 },
+  servingSize: { type: String, trim: true },
+  fat: { type: Number, min: 0 },
+  saturatedFat: { type: Number, min: 0 },
+  carbohydrates: { type: Number, min: 0 },
+  sugars: { type: Number, min: 0 },
+  protein: { type: Number, min: 0 },
+  sodium: { type: Number, min: 0 }
+}, { _id: false });
+
+// Limited stock, e.g. a daily batch of 20 brisket plates. The item sells out
+// when `count` reaches zero. With `resetCount` and `resetTime` ("HH:MM" in the
+// restaurant's time zone) the count goes back up every day at `resetAt`.
+const stockSchema = new mongoose.Schema({
+  count: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: {
+      validator: Number.isInteger,
+      message: props => `${props.value} is not a whole number`
+    }
+  },
+  // Dashboards are told when the count drops to this or below
+  lowStockThreshold: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  resetCount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  resetTime: {
+    type: String,
+    default: null,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  resetAt: {
+    type: Date,
+    default: null
+  },
+  // Set while the item is sold out because its count reached zero, so
+  // restocking brings back only items the stock took away
+  soldOut: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const itemSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  name: {
     type: String,
+    required: true,
     trim: true
   },
-  category: {
+  // Stable key that imports match items by, unique per restaurant (e.g. "BRG-001")
+  sku: {
+    type: String,
+    trim: true
+  },
+  description: {
     type: String,
+    trim: true
+  },
+  // With variants, the lowest available variant price (set on save)
+  price: {
+    type: Number,
     required: true,
+    min: 0,
+    validate: isMinorUnits
+  },
+  // Set once the prices are minor units (see entersMinorUnits); no default, so
+  // loading an unmigrated item doesn't mark it
+  pricesInMinorUnits: Boolean,
+  variants: [variantSchema],
+  modifierGroups: [modifierGroupSchema],
+  // Keys of services/dietary ALLERGENS and DIETARY_TAGS
+  allergens: [{
+    type: String,
+    enum: Object.keys(ALLERGENS)
+  }],
+  dietaryTags: [{
+    type: String,
+    enum: Object.keys(DIETARY_TAGS)
+  }],
+  nutrition: {
+    type: nutritionSchema,
+    default: undefined
+  },
+  imageUrl: {
+    type: String,
     trim: true
   },
+  // Media asset behind imageUrl, when the image came from the media library or an upload
+  imageAsset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MediaAsset',
+    default: null
+  },
+  // Image sizes from the media asset, keyed by rendition name: { url, width, height }
+  imageRenditions: {
+    type: Map,
+    of: new mongoose.Schema({ url: String, width: Number, height: Number }, { _id: false }),
+    default: undefined
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: true
+  },
   isAvailable: {
     type: Boolean,
     default: true
+  },
+  // When a sold-out ("86'd") item comes back automatically, e.g. at opening time
+  restoreAt: {
+    type: Date,
+    default: null
+  },
+  // null when the item's stock isn't counted
+  stock: {
+    type: stockSchema,
+    default: null
+  },
+  // Set when the item is a location's copy of an organization catalog item
+  catalogItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CatalogItem'
+  },
+  // Prices of the recurring price schedule (e.g. happy hour) whose window is
+  // open; shown instead of the regular prices above until it closes
+  priceOverride: {
+    type: new mongoose.Schema({
+      priceSchedule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PriceSchedule'
+      },
+      name: String,
+      price: Number,
+      variants: [{
+        _id: false,
+        variant: mongoose.Schema.Types.ObjectId,
+        price: Number
+      }]
+    }, { _id: false }),
+    default: null
+  },
+  // Fields this location has overridden instead of following the catalog
+  overrides: {
+    price: {
+      type: Boolean,
+      default: false
+    },
+    isAvailable: {
+      type: Boolean,
+      default: false
+    }
   }
 }, {
   timestamps: true
 });
 
+itemSchema.pre('validate', function(next) {
+  // Before the variant price below, which only follows the variants
+  if (entersMinorUnits(this)) this.pricesInMinorUnits = true;
+
+  if (this.variants.length > 0) {
+    const available = this.variants.filter(variant => variant.isAvailable);
+    this.price = Math.min(...(available.length ? available : this.variants).map(variant => variant.price));
+  }
+  next();
+});
+
+// Price history: compare the prices on save with those on load.
+// Callers describe the change in `item.$locals.priceChange`
+// ({ reason, changedBy, priceSchedule }); edits default to "manual".
+const priceSnapshot = (item) => JSON.stringify(effectivePrices(item));
+
+itemSchema.post('init', function() {
+  this.$locals.savedPrices = priceSnapshot(this);
+});
+
+itemSchema.pre('save', function(next) {
+  const snapshot = priceSnapshot(this);
+  this.$locals.pricesChanged = this.isNew ? 'created' : snapshot !== this.$locals.savedPrices && 'manual';
+  this.$locals.pendingPrices = snapshot;
+  next();
+});
+
+itemSchema.post('save', async function() {
+  this.$locals.savedPrices = this.$locals.pendingPrices;
+  if (!this.$locals.pricesChanged) return;
+
+  const { reason = this.$locals.pricesChanged, changedBy = null, priceSchedule = null } = this.$locals.priceChange || {};
+  const prices = effectivePrices(this);
+  this.$locals.pricesChanged = false;
+  this.$locals.priceChange = null;
+
+  await PriceHistory.create({
+    item: this._id,
+    price: prices.price,
+    regularPrice: prices.regularPrice,
+    variants: prices.variants,
+    reason,
+    changedBy,
+    priceSchedule
+  });
+});
+
+itemSchema.index({ restaurant: 1, createdAt: -1 });
+itemSchema.index({ restaurant: 1, sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
+itemSchema.index({ restoreAt: 1 });
+itemSchema.index({ 'variants.restoreAt': 1 });
+itemSchema.index({ 'stock.resetAt': 1 });
+
 module.exports = mongoose.model('Item', itemSchema); 
\ No newline at end of file
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// A resized copy of an image, stored next to the original
+const renditionSchema = new mongoose.Schema({
+  filename: String,
+  url: String,
+  width: Number,
+  height: Number,
+  size: Number,
+  mimeType: String
+}, { _id: false });
+
+// An uploaded image or video. Library assets are kept until deleted by hand;
+// files uploaded straight onto a display, item or slide are not in the
+// library and are removed once nothing references them.
+const mediaAssetSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  originalName: {
+    type: String
+  },
+  // Key of the file in upload storage (see services/storage.js)
+  filename: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  mediaType: {
+    type: String,
+    enum: ['image', 'video'],
+    required: true
+  },
+  // Bytes
+  size: {
+    type: Number,
+    required: true
+  },
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  // Seconds, for videos
+  duration: {
+    type: Number,
+    default: null
+  },
+  // Images only, keyed by rendition name (thumbnail, hd, fullHd, uhd). Sizes
+  // the original already fits are skipped; clients fall back to `url`.
+  renditions: {
+    type: Map,
+    of: renditionSchema,
+    default: {}
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  library: {
+    type: Boolean,
+    default: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+mediaAssetSchema.index({ restaurant: 1, tags: 1 });
+
+module.exports = mongoose.model('MediaAsset', mediaAssetSchema);
@@ -1,5 +1,26 @@
 const mongoose = require('mongoose');
 
+// A heading on the board with its items in display order. Sections built from
+// a category show its name, icon and color unless they set their own name.
+const sectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    required: function() {
+      return !this.category;
+    }
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  items: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item'
+  }]
+});
+
 const menuSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -10,6 +31,9 @@ const menuSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  sections: [sectionSchema],
+  // Every item in the sections, in order. Derived from sections on save;
+  // kept for finding the menus an item is on.
   items: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Item'
@@ -18,4 +42,20 @@ const menuSchema = new mongoose.Schema({
   timestamps: true
 });
 
-module.exports = mongoose.model('Menu', menuSchema); 
\ No newline at end of file
+menuSchema.index({ items: 1 });
+
+menuSchema.pre('validate', function(next) {
+  if (this.isModified('sections')) {
+    const seen = new Set();
+    this.items = [];
+    this.sections.forEach(section => section.items.forEach(item => {
+      const id = String(item._id || item);
+      if (seen.has(id)) return;
+      seen.add(id);
+      this.items.push(item._id || item);
+    }));
+  }
+  next();
+});
+
+module.exports = mongoose.model('Menu', menuSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, isValidCurrency } = require('../services/money');
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // ISO 4217 code of catalog prices
+  currency: {
+    type: String,
+    default: DEFAULT_CURRENCY,
+    uppercase: true,
+    validate: {
+      validator: isValidCurrency,
+      message: props => `${props.value} is not a valid currency code`
+    }
+  },
+  restaurants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant'
+  }]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const SLIDE_TYPES = ['menu', 'image', 'video', 'promo'];
+const TRANSITIONS = ['none', 'fade', 'slide', 'zoom'];
+
+// One entry in a rotation. Menu slides show a menu; image and video slides
+// show uploaded media; promo slides are a text card with an optional image.
+const slideSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: SLIDE_TYPES,
+    required: true
+  },
+  menu: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Menu',
+    required: function() {
+      return this.type === 'menu';
+    }
+  },
+  // Set from mediaAsset when the slide uses a media library asset
+  mediaUrl: {
+    type: String,
+    required: function() {
+      return this.type === 'image' || this.type === 'video';
+    }
+  },
+  mediaAsset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MediaAsset'
+  },
+  // Image sizes from the media asset, keyed by rendition name: { url, width, height }
+  mediaRenditions: {
+    type: Map,
+    of: new mongoose.Schema({ url: String, width: Number, height: Number }, { _id: false }),
+    default: undefined
+  },
+  promo: {
+    title: {
+      type: String,
+      trim: true,
+      required: function() {
+        return this.type === 'promo';
+      }
+    },
+    subtitle: {
+      type: String,
+      trim: true
+    },
+    imageUrl: {
+      type: String
+    },
+    backgroundColor: {
+      type: String
+    },
+    textColor: {
+      type: String
+    }
+  },
+  // Seconds on screen; null on a video slide plays the whole video
+  duration: {
+    type: Number,
+    min: 1,
+    max: 3600,
+    default: 10,
+    required: function() {
+      return this.type !== 'video';
+    }
+  },
+  transition: {
+    type: String,
+    enum: TRANSITIONS,
+    default: 'fade'
+  }
+});
+
+const playlistSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Played in order, then repeated
+  slides: [slideSchema]
+}, {
+  timestamps: true
+});
+
+playlistSchema.statics.SLIDE_TYPES = SLIDE_TYPES;
+playlistSchema.statics.TRANSITIONS = TRANSITIONS;
+
+module.exports = mongoose.model('Playlist', playlistSchema);
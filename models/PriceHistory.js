@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One entry per change to an item's prices, whatever caused it. `price` is
+// what the item showed (price overrides included), `regularPrice` its price
+// outside overrides; both in minor units of the restaurant's currency.
+const priceHistorySchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  regularPrice: {
+    type: Number,
+    required: true
+  },
+  variants: [{
+    _id: false,
+    variant: mongoose.Schema.Types.ObjectId,
+    name: String,
+    price: Number,
+    regularPrice: Number
+  }],
+  // created: new item; manual: edited by a user; import: a menu import;
+  // catalog: organization catalog sync; scheduled: a price change came due;
+  // override-started and override-ended: a recurring price window opened or closed
+  reason: {
+    type: String,
+    enum: ['created', 'manual', 'import', 'catalog', 'scheduled', 'override-started', 'override-ended'],
+    required: true
+  },
+  priceSchedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceSchedule',
+    default: null
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+priceHistorySchema.index({ item: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
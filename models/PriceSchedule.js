@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const isChange = function() {
+  return this.type === 'change';
+};
+
+const isRecurring = function() {
+  return this.type === 'recurring';
+};
+
+// A planned price for an item. A `change` sets the item's regular prices once
+// at `effectiveAt`. A `recurring` rule (e.g. happy hour 16:00-18:00 on
+// weekdays) overrides them while its window is open and lets them return
+// afterwards. New prices are a fixed `price`, per-variant `variantPrices` or
+// a `percentOff` every price. Dates and times are in the restaurant's time zone.
+const priceScheduleSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant'
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['change', 'recurring'],
+    required: true
+  },
+  effectiveAt: {
+    type: Date,
+    required: isChange
+  },
+  // Set once a change has been made to the item
+  appliedAt: {
+    type: Date,
+    default: null
+  },
+  daysOfWeek: {
+    type: [{ type: String, enum: DAYS }],
+    default: undefined,
+    required: isRecurring,
+    validate: {
+      validator: days => days.length > 0,
+      message: 'Recurring prices need at least one day of the week'
+    }
+  },
+  startTime: {
+    type: String,
+    match: TIME_PATTERN,
+    required: isRecurring
+  },
+  endTime: {
+    type: String,
+    match: TIME_PATTERN,
+    required: isRecurring
+  },
+  startDate: {
+    type: String,
+    match: DATE_PATTERN
+  },
+  endDate: {
+    type: String,
+    match: DATE_PATTERN
+  },
+  // Minor units of the restaurant's currency, like Item prices
+  price: {
+    type: Number,
+    min: 0
+  },
+  variantPrices: [{
+    _id: false,
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  percentOff: {
+    type: Number,
+    min: 1,
+    max: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+priceScheduleSchema.index({ type: 1, isActive: 1, appliedAt: 1, effectiveAt: 1 });
+priceScheduleSchema.index({ item: 1 });
+
+module.exports = mongoose.model('PriceSchedule', priceScheduleSchema);
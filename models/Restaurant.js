@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, DEFAULT_LOCALE, isValidCurrency, isValidLocale } = require('../services/money');
+
+// Reject names Intl does not recognise, e.g. "America/New_Yrok"
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
 
 const restaurantSchema = new mongoose.Schema({
   name: {
@@ -11,6 +22,55 @@ const restaurantSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  // Additional users with access; the owner is implicit and not listed here
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['manager', 'staff'],
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // IANA time zone used to interpret schedule times, e.g. "America/Jamaica"
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid time zone`
+    }
+  },
+  // ISO 4217 code; item prices are stored in its minor unit
+  currency: {
+    type: String,
+    default: DEFAULT_CURRENCY,
+    uppercase: true,
+    validate: {
+      validator: isValidCurrency,
+      message: props => `${props.value} is not a valid currency code`
+    }
+  },
+  // BCP 47 tag used to format prices, e.g. "en-JM" or "fr-CA"
+  locale: {
+    type: String,
+    default: DEFAULT_LOCALE,
+    validate: {
+      validator: isValidLocale,
+      message: props => `${props.value} is not a valid locale`
+    }
+  },
   menus: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Menu'
@@ -19,6 +79,10 @@ const restaurantSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Item'
   }],
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
   displays: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Display'
@@ -26,9 +90,21 @@ const restaurantSchema = new mongoose.Schema({
   schedules: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Schedule'
+  }],
+  playlists: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist'
+  }],
+  mediaAssets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MediaAsset'
   }]
 }, {
   timestamps: true
 });
 
-module.exports = mongoose.model('Restaurant', restaurantSchema); 
\ No newline at end of file
+restaurantSchema.index({ 'members.user': 1 });
+
+restaurantSchema.statics.isValidTimeZone = isValidTimeZone;
+
+module.exports = mongoose.model('Restaurant', restaurantSchema);
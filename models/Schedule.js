@@ -1,6 +1,14 @@
 const mongoose = require('mongoose');
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+// Dates are calendar days ("YYYY-MM-DD") in the restaurant's time zone
 const scheduleSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant'
+  },
   menu: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Menu',
@@ -11,21 +19,49 @@ const scheduleSchema = new mongoose.Schema({
     ref: 'Display',
     required: true
   },
+  // Weekly rules repeat on this day; one-off rules list their dates instead
   dayOfWeek: {
     type: String,
     enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
-    required: true
+    required: function() {
+      return !this.dates || this.dates.length === 0;
+    }
+  },
+  dates: [{
+    type: String,
+    match: DATE_PATTERN
+  }],
+  startDate: {
+    type: String,
+    match: DATE_PATTERN
+  },
+  endDate: {
+    type: String,
+    match: DATE_PATTERN
   },
   startTime: {
     type: String,
-    required: true
+    required: true,
+    match: TIME_PATTERN
   },
   endTime: {
     type: String,
-    required: true
+    required: true,
+    match: TIME_PATTERN
+  },
+  // Higher priority wins when rules cover the same moment (e.g. holidays over weekly)
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
   }
 }, {
   timestamps: true
 });
 
-module.exports = mongoose.model('Schedule', scheduleSchema); 
\ No newline at end of file
+scheduleSchema.index({ display: 1, dayOfWeek: 1 });
+
+module.exports = mongoose.model('Schedule', scheduleSchema);
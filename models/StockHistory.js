@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// One entry per change to an item's stock count, for auditing who sold,
+// counted or restocked what
+const stockHistorySchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  // The count after the change and the difference from before it
+  count: {
+    type: Number,
+    required: true
+  },
+  change: {
+    type: Number,
+    required: true
+  },
+  // set: tracking started or stock settings changed; decrement: sold or
+  // used; adjust: counted, restocked or wasted by hand; reset: the daily reset
+  reason: {
+    type: String,
+    enum: ['set', 'decrement', 'adjust', 'reset'],
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockHistorySchema.index({ item: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockHistory', stockHistorySchema);
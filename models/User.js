@@ -17,6 +17,21 @@ const userSchema = new mongoose.Schema({
   restaurant: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Restaurant'
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Embedded in every token; incrementing it invalidates all issued tokens
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  passwordChangedAt: {
+    type: Date
   }
 }, {
   timestamps: true
@@ -25,6 +40,12 @@ const userSchema = new mongoose.Schema({
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
+
+  // A new password logs out every existing session
+  if (!this.isNew) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+    this.passwordChangedAt = new Date();
+  }
   
   try {
     const salt = await bcrypt.genSalt(10);
@@ -1,17 +1,66 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
+const { rateLimit, checkLockout, sendTooManyRequests } = require('../middleware/rateLimit');
+const { registerFailure, clearFailures } = require('../services/rateLimiter');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeAllSessions } = require('../services/tokens');
+const { sendMail, appUrl } = require('../services/mailer');
 const User = require('../models/User');
+const AccountToken = require('../models/AccountToken');
 const Restaurant = require('../models/Restaurant');
+const Invitation = require('../models/Invitation');
+const Organization = require('../models/Organization');
+const { getRole } = require('../middleware/restaurantScope');
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL = (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * 60 * 1000;
+const EMAIL_VERIFICATION_TTL = (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48) * 60 * 60 * 1000;
+
+// Brute-force protection: an account is locked out after too many failed
+// logins in the window, and each IP gets a fixed budget of login attempts
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOGIN_LOCKOUT = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+const LOGIN_FAILURE_WINDOW = 15 * 60 * 1000;
+
+const loginRateLimit = rateLimit({
+  name: 'login',
+  max: 20,
+  windowMs: 15 * 60 * 1000,
+  message: 'Too many login attempts, please try again later'
+});
+
+const loginLockout = checkLockout(
+  (req) => `login:${req.body.email}`,
+  'Too many failed login attempts, please try again later'
+);
+
+// Email a link that confirms the user's address
+const sendVerificationEmail = async (user) => {
+  const { token } = await AccountToken.issue(user, 'email-verification', EMAIL_VERIFICATION_TTL);
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Confirm your email address: ${appUrl(`/verify-email?token=${token}`)}\n\n` +
+      'If you did not create an account, you can ignore this email.'
+  });
+};
+
 // Validation rules
 const registerValidation = [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }),
-  body('restaurantName').notEmpty().trim()
+  // Invited users join an existing restaurant instead of creating one
+  body('invitationToken').optional().isString(),
+  body('restaurantName').if(body('invitationToken').not().exists()).notEmpty().trim(),
+  body('organizationName').optional().trim(),
+  body('timezone').optional().custom(timezone => {
+    if (!Restaurant.isValidTimeZone(timezone)) {
+      throw new Error('Invalid time zone');
+    }
+    return true;
+  })
 ];
 
 const loginValidation = [
@@ -19,10 +68,24 @@ const loginValidation = [
   body('password').notEmpty()
 ];
 
+const changePasswordValidation = [
+  body('currentPassword').notEmpty(),
+  body('newPassword').isLength({ min: 6 })
+];
+
+const forgotPasswordValidation = [
+  body('email').isEmail().normalizeEmail()
+];
+
+const resetPasswordValidation = [
+  body('token').notEmpty(),
+  body('password').isLength({ min: 6 })
+];
+
 // Register new user
 router.post('/register', registerValidation, validateRequest, async (req, res) => {
   try {
-    const { email, password, restaurantName } = req.body;
+    const { email, password, restaurantName, organizationName, timezone, invitationToken } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -30,41 +93,77 @@ router.post('/register', registerValidation, validateRequest, async (req, res) =
       return res.status(400).json({ error: 'User already exists' });
     }
 
-    // Create restaurant first
-    const restaurant = new Restaurant({
-      name: restaurantName,
-      owner: null // Will be set after user creation
-    });
-    await restaurant.save();
+    let invitation = null;
+    let restaurant;
+
+    if (invitationToken) {
+      invitation = await Invitation.findPendingByToken(invitationToken);
+      if (!invitation || invitation.email !== email) {
+        return res.status(400).json({ error: 'Invalid or expired invitation' });
+      }
+
+      restaurant = await Restaurant.findById(invitation.restaurant);
+      if (!restaurant) {
+        return res.status(400).json({ error: 'Invalid or expired invitation' });
+      }
+    } else {
+      // Saved once the owner exists
+      restaurant = new Restaurant({
+        name: restaurantName,
+        timezone
+      });
+    }
 
     // Create user
     const user = new User({
       email,
       password,
-      restaurant: restaurant._id
+      restaurant: restaurant._id,
+      // Following an emailed invitation already proves the address
+      emailVerified: Boolean(invitation),
+      emailVerifiedAt: invitation ? new Date() : undefined
     });
     await user.save();
 
-    // Update restaurant with owner
-    restaurant.owner = user._id;
+    if (invitation) {
+      // Join the inviting restaurant with the invited role
+      restaurant.members.push({ user: user._id, role: invitation.role });
+      invitation.acceptedAt = new Date();
+      await invitation.save();
+    } else {
+      // Every new account gets an organization holding its first location
+      const organization = new Organization({
+        name: organizationName || restaurantName,
+        owner: user._id,
+        restaurants: [restaurant._id]
+      });
+      await organization.save();
+
+      restaurant.owner = user._id;
+      restaurant.organization = organization._id;
+    }
     await restaurant.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    if (!user.emailVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    // Generate access and refresh tokens
+    const { tokens } = await issueTokens(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         email: user.email,
+        emailVerified: user.emailVerified,
         restaurant: {
           id: restaurant._id,
           name: restaurant.name,
+          role: getRole(restaurant, user),
+          organization: restaurant.organization,
+          timezone: restaurant.timezone,
           owner: restaurant.owner,
           menus: restaurant.menus || [],
           items: restaurant.items || [],
@@ -79,43 +178,49 @@ router.post('/register', registerValidation, validateRequest, async (req, res) =
 });
 
 // Login user
-router.post('/login', loginValidation, validateRequest, async (req, res) => {
+router.post('/login', loginRateLimit, loginValidation, validateRequest, loginLockout, async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    // Find user
+    // Find user and check password
     const user = await User.findOne({ email }).populate('restaurant');
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+    const isValidPassword = user ? await user.comparePassword(password) : false;
 
-    // Check password
-    const isValidPassword = await user.comparePassword(password);
     if (!isValidPassword) {
+      // Unknown emails count too, so lockouts don't reveal which accounts exist
+      const lockoutMs = await registerFailure(`login:${email}`, {
+        windowMs: LOGIN_FAILURE_WINDOW,
+        delay: (failures) => (failures >= LOGIN_MAX_FAILURES ? LOGIN_LOCKOUT : 0)
+      });
+      if (lockoutMs > 0) {
+        return sendTooManyRequests(res, lockoutMs, 'Too many failed login attempts, please try again later');
+      }
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    await clearFailures(`login:${email}`);
+
+    // Generate access and refresh tokens
+    const { tokens } = await issueTokens(user, req);
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         email: user.email,
-        restaurant: {
+        emailVerified: user.emailVerified,
+        restaurant: user.restaurant ? {
           id: user.restaurant._id,
           name: user.restaurant.name,
+          role: getRole(user.restaurant, user),
+          organization: user.restaurant.organization,
+          timezone: user.restaurant.timezone,
           owner: user.restaurant.owner,
           menus: user.restaurant.menus || [],
           items: user.restaurant.items || [],
           displays: user.restaurant.displays || []
-        }
+        } : null
       }
     });
   } catch (error) {
@@ -124,4 +229,166 @@ router.post('/login', loginValidation, validateRequest, async (req, res) => {
   }
 });
 
+const refreshValidation = [
+  body('refreshToken').notEmpty()
+];
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', refreshValidation, validateRequest, async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    res.json({
+      message: 'Token refreshed',
+      ...result.tokens
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+// Log out the current session
+router.post('/logout', refreshValidation, validateRequest, async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Log out every session of the current user
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id);
+    res.json({ message: 'All sessions logged out successfully' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Change password for the logged-in user; other sessions are logged out
+router.post('/password/change', authenticateToken, changePasswordValidation, validateRequest, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id);
+
+    const isValidPassword = await user.comparePassword(currentPassword);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    // Saving a new password bumps the token version, invalidating existing tokens
+    user.password = newPassword;
+    await user.save();
+
+    // Keep this session logged in with fresh tokens
+    const { tokens } = await issueTokens(user, req);
+
+    res.json({
+      message: 'Password changed successfully',
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Email a password reset link
+router.post('/password/forgot', forgotPasswordValidation, validateRequest, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Same response whether or not the account exists, so emails cannot be probed
+    if (user) {
+      const { token } = await AccountToken.issue(user, 'password-reset', PASSWORD_RESET_TTL);
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Reset your password: ${appUrl(`/reset-password?token=${token}`)}\n\n` +
+          `This link expires in ${PASSWORD_RESET_TTL / 60000} minutes and can be used once. ` +
+          'If you did not ask to reset your password, you can ignore this email.'
+      });
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send reset link' });
+  }
+});
+
+// Set a new password using a reset token
+router.post('/password/reset', resetPasswordValidation, validateRequest, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const record = await AccountToken.consume(token, 'password-reset');
+    if (!record) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const user = await User.findById(record.user);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    user.password = password;
+    // The reset link was delivered by email, so the address is confirmed
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // A fresh password lifts any login lockout on the account
+    await clearFailures(`login:${user.email}`);
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Confirm an email address
+router.post('/email/verify', body('token').notEmpty(), validateRequest, async (req, res) => {
+  try {
+    const record = await AccountToken.consume(req.body.token, 'email-verification');
+    if (!record) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    await User.findByIdAndUpdate(record.user, { emailVerified: true, emailVerifiedAt: new Date() });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Send a new verification email to the logged-in user
+router.post('/email/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
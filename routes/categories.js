@@ -0,0 +1,181 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const { requireRestaurant, requireCategory } = require('../middleware/restaurantScope');
+const Category = require('../models/Category');
+const Item = require('../models/Item');
+const Menu = require('../models/Menu');
+
+const router = express.Router();
+
+// Validation rules
+const categoryValidation = [
+  body('name').notEmpty().trim(),
+  body('description').optional().trim(),
+  body('icon').optional({ values: 'null' }).isString().trim().isLength({ max: 64 }),
+  body('color').optional({ values: 'null' }).matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex color like #d9480f')
+];
+
+// Another category of the restaurant already using this name, if any
+const findDuplicate = (restaurantId, name, excludeId) => Category.findOne({
+  restaurant: restaurantId,
+  key: Category.normalizeName(name),
+  _id: { $ne: excludeId }
+});
+
+// Create category for a restaurant; new categories go last
+router.post('/restaurants/:restaurantId', authenticateToken, requireRestaurant('content:edit'), categoryValidation, validateRequest, async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const { name, description, icon, color } = req.body;
+    const { restaurant } = req;
+
+    if (await findDuplicate(restaurantId, name)) {
+      return res.status(409).json({ error: 'A category with this name already exists' });
+    }
+
+    const category = new Category({
+      restaurant: restaurantId,
+      name,
+      description,
+      icon,
+      color,
+      order: await Category.countDocuments({ restaurant: restaurantId })
+    });
+    await category.save();
+
+    // Add category to restaurant
+    restaurant.categories.push(category._id);
+    await restaurant.save();
+
+    // Emit socket event
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurantId}`).emit('category-created', { category });
+
+    res.status(201).json(category);
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({ error: 'Failed to create category' });
+  }
+});
+
+// Get categories for restaurant, in display order, with their item counts
+router.get('/restaurants/:restaurantId', authenticateToken, requireRestaurant(), async (req, res) => {
+  try {
+    const { restaurant } = req;
+
+    const categories = await Category.find({ _id: { $in: restaurant.categories } }).sort({ order: 1, name: 1 });
+    const counts = await Item.aggregate([
+      { $match: { _id: { $in: restaurant.items }, category: { $in: categories.map(category => category._id) } } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+    const countOf = new Map(counts.map(count => [count._id.toString(), count.count]));
+
+    res.json(categories.map(category => ({
+      ...category.toObject(),
+      itemCount: countOf.get(category._id.toString()) || 0
+    })));
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ error: 'Failed to fetch categories' });
+  }
+});
+
+// Reorder the restaurant's categories; `categoryIds` must list every category once
+router.patch('/restaurants/:restaurantId/order', authenticateToken, requireRestaurant('content:edit'), [
+  body('categoryIds').isArray(),
+  body('categoryIds.*').isMongoId()
+], validateRequest, async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const { categoryIds } = req.body;
+    const { restaurant } = req;
+
+    const ids = categoryIds.map(String);
+    const owned = restaurant.categories.map(String);
+    if (ids.length !== owned.length || new Set(ids).size !== ids.length || !owned.every(id => ids.includes(id))) {
+      return res.status(400).json({ error: 'categoryIds must list every category of the restaurant once' });
+    }
+
+    await Category.bulkWrite(ids.map((id, order) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { order } } }
+    })));
+    const categories = await Category.find({ _id: { $in: ids } }).sort({ order: 1 });
+
+    // Emit socket event
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurantId}`).emit('categories-reordered', { categoryIds: ids });
+
+    res.json(categories);
+  } catch (error) {
+    console.error('Reorder categories error:', error);
+    res.status(500).json({ error: 'Failed to reorder categories' });
+  }
+});
+
+// Update category
+router.put('/:categoryId', authenticateToken, requireCategory('content:edit'), categoryValidation, validateRequest, async (req, res) => {
+  try {
+    const { name, description, icon, color } = req.body;
+    const { category, restaurant } = req;
+
+    if (await findDuplicate(restaurant._id, name, category._id)) {
+      return res.status(409).json({ error: 'A category with this name already exists' });
+    }
+
+    Object.assign(category, { name, description, icon, color });
+    await category.save();
+
+    // Emit socket event
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurant._id}`).emit('category-updated', { category });
+
+    res.json(category);
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+});
+
+// Delete category; categories that still have items can't be deleted
+router.delete('/:categoryId', authenticateToken, requireCategory('content:edit'), async (req, res) => {
+  try {
+    const { categoryId } = req.params;
+    const { category, restaurant } = req;
+
+    const itemCount = await Item.countDocuments({ category: category._id });
+    if (itemCount > 0) {
+      return res.status(409).json({ error: 'Category still has items', itemCount });
+    }
+
+    // Menu sections built from the category keep its name as their own
+    await Menu.updateMany(
+      { _id: { $in: restaurant.menus }, 'sections.category': category._id },
+      { $set: { 'sections.$[section].name': category.name } },
+      { arrayFilters: [{ 'section.category': category._id, 'section.name': { $in: [null, ''] } }] }
+    );
+    await Menu.updateMany(
+      { _id: { $in: restaurant.menus }, 'sections.category': category._id },
+      { $set: { 'sections.$[section].category': null } },
+      { arrayFilters: [{ 'section.category': category._id }] }
+    );
+
+    await Category.findByIdAndDelete(categoryId);
+
+    // Remove from restaurant
+    restaurant.categories = restaurant.categories.filter(id => id.toString() !== categoryId);
+    await restaurant.save();
+
+    // Emit socket event
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurant._id}`).emit('category-deleted', { categoryId });
+
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ error: 'Failed to delete category' });
+  }
+});
+
+module.exports = router;
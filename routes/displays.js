@@ -1,70 +1,78 @@
 const express = require('express');
-const { body } = require('express-validator');
-const multer = require('multer');
-const path = require('path');
-const { authenticateToken } = require('../middleware/auth');
+const { body, query } = require('express-validator');
+const crypto = require('crypto');
+const { authenticateToken, authenticateDevice, signDeviceToken } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
+const { rateLimit, checkLockout, sendTooManyRequests } = require('../middleware/rateLimit');
+const { registerFailure, clearFailures, PAIRING_FAILURE_POLICY } = require('../services/rateLimiter');
+const { requireRestaurant, requireDisplay, belongsToRestaurant } = require('../middleware/restaurantScope');
 const Display = require('../models/Display');
-const Restaurant = require('../models/Restaurant');
-const Menu = require('../models/Menu');
+const Schedule = require('../models/Schedule');
+const { getLocalTime, resolveSchedule } = require('../services/scheduleResolver');
+const { DISPLAY_CONTENT_POPULATE, isPopulated, buildRotation, displayPricing, emitRotation } = require('../services/playlists');
+const { buildMenuLayout } = require('../services/menus');
+const { pricingOf } = require('../services/money');
+const { createUpload, createAsset, renditionUrls, releaseAssets } = require('../services/media');
+const { displayDeletionImpact, deleteDisplay } = require('../services/deletions');
+const MediaAsset = require('../models/MediaAsset');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'uploads/');
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
+// Pairing routes are public, so throttle them per IP and back off wrong codes
+const PAIRING_LOCKOUT_MESSAGE = 'Too many invalid pairing codes, please try again later';
+
+const pairingRateLimit = rateLimit({
+  name: 'pairing',
+  max: 30,
+  windowMs: 60 * 1000
 });
 
-const upload = multer({ 
-  storage: storage,
-  limits: {
-    fileSize: 50 * 1024 * 1024 // 50MB limit
-  },
-  fileFilter: function (req, file, cb) {
-    // Allow images and videos
-    if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image and video files are allowed!'), false);
-    }
+const pairingLockout = checkLockout((req) => `pairing:${req.ip}`, PAIRING_LOCKOUT_MESSAGE);
+
+// Respond to a wrong pairing code, backing off the client once it keeps guessing
+const rejectPairingCode = async (req, res) => {
+  const lockoutMs = await registerFailure(`pairing:${req.ip}`, PAIRING_FAILURE_POLICY);
+  if (lockoutMs > 0) {
+    return sendTooManyRequests(res, lockoutMs, PAIRING_LOCKOUT_MESSAGE);
   }
-});
+  return res.status(404).json({ error: 'Invalid or expired pairing code' });
+};
+
+const upload = createUpload({ prefix: 'media' });
 
-// Helper function to transform MongoDB document to frontend format
-const transformDisplay = (display) => {
+// Helper function to transform MongoDB document to frontend format.
+// Menu prices are formatted with `pricing` (see pricingOf).
+const transformDisplay = (display, pricing) => {
   if (!display) return null;
   const doc = display.toObject ? display.toObject() : display;
   
-  // Transform currentMenu if it's populated
-  let currentMenu = null;
-  if (doc.currentMenu) {
-    if (typeof doc.currentMenu === 'object' && doc.currentMenu._id) {
-      // It's a populated menu object
-      currentMenu = {
-        id: doc.currentMenu._id,
-        name: doc.currentMenu.name,
-        description: doc.currentMenu.description,
-        items: doc.currentMenu.items || []
-      };
-    } else {
-      // It's just an ObjectId
-      currentMenu = doc.currentMenu;
-    }
+  // Populated menus go out as their board layout
+  const currentMenu = buildMenuLayout(doc.currentMenu, pricing, { soldOutMode: doc.soldOutMode });
+
+  // Transform currentPlaylist if it's populated
+  let currentPlaylist = doc.currentPlaylist || null;
+  if (isPopulated(currentPlaylist)) {
+    currentPlaylist = { id: currentPlaylist._id, name: currentPlaylist.name };
   }
-  
+
   return {
     id: doc._id,
     name: doc.name,
     pairingCode: doc.pairingCode,
+    pairingCodeExpiresAt: doc.pairingCodeExpiresAt,
+    isPaired: Boolean(doc.deviceTokenId),
+    pairedAt: doc.pairedAt,
     currentMenu: currentMenu,
+    currentPlaylist: currentPlaylist,
+    mediaAsset: doc.mediaAsset || null,
     mediaUrl: doc.mediaUrl,
     mediaType: doc.mediaType,
+    mediaRenditions: doc.mediaRenditions || null,
+    soldOutMode: doc.soldOutMode || 'stamp',
+    rotation: buildRotation(doc, pricing),
+    status: doc.status || 'offline',
+    lastSeenAt: doc.lastSeenAt || null,
+    deviceInfo: doc.deviceInfo || null,
     createdAt: doc.createdAt,
     updatedAt: doc.updatedAt
   };
@@ -73,25 +81,26 @@ const transformDisplay = (display) => {
 // Validation rules
 const displayValidation = [
   body('name').notEmpty().trim(),
-  body('currentMenu').optional().isMongoId()
+  body('currentMenu').optional().isMongoId(),
+  body('soldOutMode').optional().isIn(['hide', 'grey', 'stamp'])
 ];
 
 // Create display for a restaurant
-router.post('/restaurants/:restaurantId', authenticateToken, displayValidation, validateRequest, async (req, res) => {
+router.post('/restaurants/:restaurantId', authenticateToken, requireRestaurant('displays:manage'), displayValidation, validateRequest, async (req, res) => {
   try {
     const { restaurantId } = req.params;
-    const { name, currentMenu } = req.body;
+    const { name, currentMenu, soldOutMode } = req.body;
+    const { restaurant } = req;
 
-    // Verify restaurant ownership
-    const restaurant = await Restaurant.findById(restaurantId);
-    if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
+    if (currentMenu && !belongsToRestaurant(restaurant, 'menus', currentMenu)) {
+      return res.status(400).json({ error: 'Menu does not belong to this restaurant' });
     }
 
     // Create display
     const display = new Display({
       name,
-      currentMenu
+      currentMenu,
+      soldOutMode
     });
     await display.save();
 
@@ -101,9 +110,9 @@ router.post('/restaurants/:restaurantId', authenticateToken, displayValidation,
 
     // Emit socket event
     const io = req.app.get('io');
-    io.to(`restaurant-${restaurantId}`).emit('display-created', { display: transformDisplay(display) });
+    io.to(`restaurant-${restaurantId}`).emit('display-created', { display: transformDisplay(display, pricingOf(req.restaurant)) });
 
-    res.status(201).json(transformDisplay(display));
+    res.status(201).json(transformDisplay(display, pricingOf(req.restaurant)));
   } catch (error) {
     console.error('Create display error:', error);
     res.status(500).json({ error: 'Failed to create display' });
@@ -111,18 +120,13 @@ router.post('/restaurants/:restaurantId', authenticateToken, displayValidation,
 });
 
 // Get all displays for a restaurant
-router.get('/restaurants/:restaurantId', authenticateToken, async (req, res) => {
+router.get('/restaurants/:restaurantId', authenticateToken, requireRestaurant(), async (req, res) => {
   try {
-    const { restaurantId } = req.params;
-
-    // Verify restaurant ownership
-    const restaurant = await Restaurant.findById(restaurantId);
-    if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const query = { _id: { $in: req.restaurant.displays } };
+    if (req.query.status) query.status = req.query.status;
 
-    const displays = await Display.find({ _id: { $in: restaurant.displays } }).populate('currentMenu');
-    res.json(displays.map(transformDisplay));
+    const displays = await Display.find(query).populate('currentMenu').populate('currentPlaylist');
+    res.json(displays.map(display => transformDisplay(display, pricingOf(req.restaurant))));
   } catch (error) {
     console.error('Get displays error:', error);
     res.status(500).json({ error: 'Failed to fetch displays' });
@@ -130,35 +134,39 @@ router.get('/restaurants/:restaurantId', authenticateToken, async (req, res) =>
 });
 
 // Update display
-router.put('/:displayId', authenticateToken, displayValidation, validateRequest, async (req, res) => {
+router.put('/:displayId', authenticateToken, requireDisplay('displays:manage'), displayValidation, validateRequest, async (req, res) => {
   try {
     const { displayId } = req.params;
-    const { name, currentMenu } = req.body;
+    const { name, currentMenu, soldOutMode } = req.body;
+    const { display } = req;
 
-    const display = await Display.findById(displayId);
-    if (!display) {
-      return res.status(404).json({ error: 'Display not found' });
+    if (currentMenu && !belongsToRestaurant(req.restaurant, 'menus', currentMenu)) {
+      return res.status(400).json({ error: 'Menu does not belong to this restaurant' });
     }
 
     // Update display
     if (name !== undefined) display.name = name;
     if (currentMenu !== undefined) display.currentMenu = currentMenu;
+    if (soldOutMode !== undefined) display.soldOutMode = soldOutMode;
+    const soldOutModeChanged = display.isModified('soldOutMode');
 
     await display.save();
 
     // Emit socket event for real-time updates
     const io = req.app.get('io');
-    io.to(`display-${displayId}`).emit('display-updated', { display: transformDisplay(display) });
+    io.to(`display-${displayId}`).emit('display-updated', { display: transformDisplay(display, pricingOf(req.restaurant)) });
+    // Hidden sold-out items come and go with the mode
+    if (soldOutModeChanged) await emitRotation(io, [displayId]);
 
-    res.json(transformDisplay(display));
+    res.json(transformDisplay(display, pricingOf(req.restaurant)));
   } catch (error) {
     console.error('Update display error:', error);
     res.status(500).json({ error: 'Failed to update display' });
   }
 });
 
-// Pair display with restaurant using pairing code
-router.post('/pair', async (req, res) => {
+// Pair a screen using its pairing code; the code is consumed and a device token issued
+router.post('/pair', pairingRateLimit, pairingLockout, async (req, res) => {
   try {
     const { pairingCode } = req.body;
 
@@ -166,14 +174,30 @@ router.post('/pair', async (req, res) => {
       return res.status(400).json({ error: 'Pairing code is required' });
     }
 
-    const display = await Display.findOne({ pairingCode });
+    const code = String(pairingCode).toUpperCase();
+
+    // Consume the code atomically so it can only be used once
+    const display = await Display.findOneAndUpdate(
+      { pairingCode: code, pairingCodeExpiresAt: { $gt: new Date() } },
+      {
+        $unset: { pairingCode: 1, pairingCodeExpiresAt: 1 },
+        $set: { deviceTokenId: crypto.randomBytes(16).toString('hex'), pairedAt: new Date() }
+      },
+      { new: true }
+    );
     if (!display) {
-      return res.status(404).json({ error: 'Invalid pairing code' });
+      return rejectPairingCode(req, res);
     }
 
-    // Emit socket event for pairing
+    await clearFailures(`pairing:${req.ip}`);
+
     const io = req.app.get('io');
-    io.to(`pairing-${pairingCode}`).emit('display-paired', { 
+
+    // Disconnect screens still holding a token from an earlier pairing
+    io.in(`device-${display._id}`).disconnectSockets(true);
+
+    // Emit socket event for pairing
+    io.to(`pairing-${code}`).emit('display-paired', { 
       displayId: display._id,
       displayName: display.name 
     });
@@ -181,7 +205,8 @@ router.post('/pair', async (req, res) => {
     res.json({ 
       message: 'Display paired successfully',
       displayId: display._id.toString(),
-      displayName: display.name
+      displayName: display.name,
+      deviceToken: signDeviceToken(display)
     });
   } catch (error) {
     console.error('Pair display error:', error);
@@ -189,64 +214,88 @@ router.post('/pair', async (req, res) => {
   }
 });
 
-// Get display by pairing code (for display clients)
-router.get('/pair/:pairingCode', async (req, res) => {
+// Check whether a pairing code is still valid (for display clients)
+router.get('/pair/:pairingCode', pairingRateLimit, pairingLockout, async (req, res) => {
   try {
     const { pairingCode } = req.params;
 
-    const display = await Display.findOne({ pairingCode }).populate('currentMenu');
+    const display = await Display.findOne({
+      pairingCode: pairingCode.toUpperCase(),
+      pairingCodeExpiresAt: { $gt: new Date() }
+    });
     if (!display) {
-      return res.status(404).json({ error: 'Invalid pairing code' });
+      return rejectPairingCode(req, res);
     }
 
-    res.json(transformDisplay(display));
+    res.json({ valid: true, expiresAt: display.pairingCodeExpiresAt });
   } catch (error) {
     console.error('Get display by pairing code error:', error);
     res.status(500).json({ error: 'Failed to fetch display' });
   }
 });
 
+// Get the paired display (for display clients holding a device token)
+router.get('/device/me', authenticateDevice, async (req, res) => {
+  try {
+    await req.display.populate(DISPLAY_CONTENT_POPULATE);
+    res.json(transformDisplay(req.display, await displayPricing(req.display._id)));
+  } catch (error) {
+    console.error('Get device display error:', error);
+    res.status(500).json({ error: 'Failed to fetch display' });
+  }
+});
+
 // Get display by ID (for authenticated users)
-router.get('/:displayId', authenticateToken, async (req, res) => {
+router.get('/:displayId', authenticateToken, requireDisplay(), async (req, res) => {
+  try {
+    await req.display.populate(DISPLAY_CONTENT_POPULATE);
+    res.json(transformDisplay(req.display, pricingOf(req.restaurant)));
+  } catch (error) {
+    console.error('Get display error:', error);
+    res.status(500).json({ error: 'Failed to fetch display' });
+  }
+});
+
+// Preview which scheduled menu a display would show at a given instant
+router.get('/:displayId/schedule/preview', authenticateToken, requireDisplay(), async (req, res) => {
   try {
     const { displayId } = req.params;
+    const at = req.query.at ? new Date(req.query.at) : new Date();
 
-    const display = await Display.findById(displayId).populate('currentMenu');
-    if (!display) {
-      return res.status(404).json({ error: 'Display not found' });
+    if (isNaN(at.getTime())) {
+      return res.status(400).json({ error: 'Invalid "at" timestamp' });
     }
 
-    res.json(transformDisplay(display));
+    const timeZone = req.restaurant.timezone || 'UTC';
+    const schedules = await Schedule.find({ display: displayId, isActive: true }).populate('menu', 'name');
+    const schedule = resolveSchedule(schedules, at, timeZone);
+
+    res.json({
+      displayId,
+      at: at.toISOString(),
+      timeZone,
+      localTime: getLocalTime(at, timeZone),
+      schedule,
+      menu: schedule ? schedule.menu : null
+    });
   } catch (error) {
-    console.error('Get display error:', error);
-    res.status(500).json({ error: 'Failed to fetch display' });
+    console.error('Preview display schedule error:', error);
+    res.status(500).json({ error: 'Failed to preview display schedule' });
   }
 });
 
 // Assign menu to display
-router.patch('/:displayId/assign-menu', authenticateToken, async (req, res) => {
+router.patch('/:displayId/assign-menu', authenticateToken, requireDisplay('displays:manage'), async (req, res) => {
   try {
     const { displayId } = req.params;
     const { menuId } = req.body;
+    const { display } = req;
 
     console.log('Assign menu request:', { displayId, menuId, body: req.body });
 
-    const display = await Display.findById(displayId);
-    if (!display) {
-      console.log('Display not found:', displayId);
-      return res.status(404).json({ error: 'Display not found' });
-    }
-
-    console.log('Found display:', display);
-
-    // Verify menu exists
-    if (menuId) {
-      const menu = await Menu.findById(menuId);
-      if (!menu) {
-        console.log('Menu not found:', menuId);
-        return res.status(404).json({ error: 'Menu not found' });
-      }
-      console.log('Found menu:', menu.name);
+    // Only menus from the display's own restaurant may be assigned
+    if (menuId && !belongsToRestaurant(req.restaurant, 'menus', menuId)) {
+      return res.status(404).json({ error: 'Menu not found' });
     }
 
     console.log('Setting currentMenu to:', menuId);
@@ -260,11 +309,12 @@ router.patch('/:displayId/assign-menu', authenticateToken, async (req, res) => {
       displayId, 
       menuId 
     });
+    await emitRotation(io, [displayId]);
 
     // Fetch the display with populated menu for response
     const populatedDisplay = await Display.findById(displayId).populate('currentMenu');
     console.log('Populated display:', populatedDisplay);
-    const transformedDisplay = transformDisplay(populatedDisplay);
+    const transformedDisplay = transformDisplay(populatedDisplay, pricingOf(req.restaurant));
     console.log('Transformed display:', transformedDisplay);
     res.json(transformedDisplay);
   } catch (error) {
@@ -273,73 +323,123 @@ router.patch('/:displayId/assign-menu', authenticateToken, async (req, res) => {
   }
 });
 
-// Upload media to display
-router.post('/:displayId/upload-media', authenticateToken, upload.single('media'), async (req, res) => {
+// Assign a playlist to display; null goes back to the current menu and media
+router.patch('/:displayId/assign-playlist', authenticateToken, requireDisplay('displays:manage'), [
+  body('playlistId').optional({ values: 'null' }).isMongoId()
+], validateRequest, async (req, res) => {
   try {
     const { displayId } = req.params;
-    
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
+    const { playlistId } = req.body;
+    const { display } = req;
 
-    console.log('Uploading media for display:', displayId);
-    console.log('File info:', req.file);
-
-    const display = await Display.findById(displayId);
-    if (!display) {
-      return res.status(404).json({ error: 'Display not found' });
+    // Only playlists from the display's own restaurant may be assigned
+    if (playlistId && !belongsToRestaurant(req.restaurant, 'playlists', playlistId)) {
+      return res.status(404).json({ error: 'Playlist not found' });
     }
 
-    // Determine media type
-    const mediaType = req.file.mimetype.startsWith('image/') ? 'image' : 'video';
-    const mediaUrl = `/uploads/${req.file.filename}`;
-
-    console.log('Setting mediaUrl:', mediaUrl, 'mediaType:', mediaType);
-
-    // Update display with media
-    display.mediaUrl = mediaUrl;
-    display.mediaType = mediaType;
+    display.currentPlaylist = playlistId || null;
     await display.save();
 
-    console.log('Display saved with media:', display.mediaUrl, display.mediaType);
-
     // Emit socket event for real-time updates
     const io = req.app.get('io');
-    io.to(`display-${displayId}`).emit('media-uploaded', { 
-      displayId, 
-      mediaUrl,
-      mediaType 
+    io.to(`display-${displayId}`).emit('playlist-assigned', {
+      displayId,
+      playlistId: playlistId || null
     });
+    await emitRotation(io, [displayId]);
 
-    const transformedDisplay = transformDisplay(display);
-    console.log('Sending transformed display:', transformedDisplay);
-    res.json(transformedDisplay);
+    await display.populate(DISPLAY_CONTENT_POPULATE);
+    res.json(transformDisplay(display, pricingOf(req.restaurant)));
+  } catch (error) {
+    console.error('Assign playlist error:', error);
+    res.status(500).json({ error: 'Failed to assign playlist' });
+  }
+});
+
+// Point the display's media at an asset (or clear it) and notify the screen.
+// An upload the display no longer shows is released.
+const setDisplayMedia = async (req, display, asset) => {
+  const previousAsset = display.mediaAsset;
+  const displayId = display._id.toString();
+
+  display.mediaAsset = asset ? asset._id : null;
+  display.mediaUrl = asset ? asset.url : null;
+  display.mediaType = asset ? asset.mediaType : null;
+  display.mediaRenditions = renditionUrls(asset);
+  await display.save();
+
+  // Emit socket event for real-time updates
+  const io = req.app.get('io');
+  if (asset) {
+    io.to(`display-${displayId}`).emit('media-uploaded', {
+      displayId,
+      mediaAssetId: asset._id,
+      mediaUrl: asset.url,
+      mediaType: asset.mediaType,
+      mediaRenditions: display.mediaRenditions
+    });
+  } else {
+    io.to(`display-${displayId}`).emit('media-removed', { displayId });
+  }
+  await emitRotation(io, [displayId]);
+
+  if (previousAsset && (!asset || previousAsset.toString() !== asset._id.toString())) {
+    await releaseAssets(previousAsset);
+  }
+};
+
+// Upload media to display
+router.post('/:displayId/upload-media', authenticateToken, requireDisplay('displays:manage'), upload.single('media'), async (req, res) => {
+  try {
+    const { displayId } = req.params;
+    const { display, restaurant } = req;
+    
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    console.log('Uploading media for display:', displayId);
+
+    // Uploads made here stay out of the media library and are removed once replaced
+    const asset = await createAsset(req.file, { restaurant, user: req.user, library: false });
+    await setDisplayMedia(req, display, asset);
+
+    res.json(transformDisplay(display, pricingOf(req.restaurant)));
   } catch (error) {
     console.error('Upload media error:', error);
     res.status(500).json({ error: 'Failed to upload media' });
   }
 });
 
-// Remove media from display
-router.delete('/:displayId/media', authenticateToken, async (req, res) => {
+// Show a media library asset on the display
+router.patch('/:displayId/media', authenticateToken, requireDisplay('displays:manage'), [
+  body('assetId').isMongoId()
+], validateRequest, async (req, res) => {
   try {
-    const { displayId } = req.params;
+    const { display, restaurant } = req;
 
-    const display = await Display.findById(displayId);
-    if (!display) {
-      return res.status(404).json({ error: 'Display not found' });
+    const asset = await MediaAsset.findOne({ _id: req.body.assetId, restaurant: restaurant._id });
+    if (!asset) {
+      return res.status(404).json({ error: 'Media asset not found' });
     }
 
-    // Remove media
-    display.mediaUrl = null;
-    display.mediaType = null;
-    await display.save();
+    await setDisplayMedia(req, display, asset);
 
-    // Emit socket event for real-time updates
-    const io = req.app.get('io');
-    io.to(`display-${displayId}`).emit('media-removed', { displayId });
+    res.json(transformDisplay(display, pricingOf(req.restaurant)));
+  } catch (error) {
+    console.error('Set display media error:', error);
+    res.status(500).json({ error: 'Failed to set display media' });
+  }
+});
+
+// Remove media from display
+router.delete('/:displayId/media', authenticateToken, requireDisplay('displays:manage'), async (req, res) => {
+  try {
+    const { display } = req;
 
-    res.json(transformDisplay(display));
+    await setDisplayMedia(req, display, null);
+
+    res.json(transformDisplay(display, pricingOf(req.restaurant)));
   } catch (error) {
     console.error('Remove media error:', error);
     res.status(500).json({ error: 'Failed to remove media' });
@@ -347,22 +447,18 @@ router.delete('/:displayId/media', authenticateToken, async (req, res) => {
 });
 
 // Generate new pairing code for display
-router.patch('/:displayId/regenerate-pairing-code', authenticateToken, async (req, res) => {
+router.patch('/:displayId/regenerate-pairing-code', authenticateToken, requireDisplay('displays:manage'), async (req, res) => {
   try {
-    const { displayId } = req.params;
-
-    const display = await Display.findById(displayId);
-    if (!display) {
-      return res.status(404).json({ error: 'Display not found' });
-    }
+    const { display } = req;
 
     // Generate new pairing code
-    display.pairingCode = Math.random().toString(36).substring(2, 8).toUpperCase();
+    display.pairingCode = Display.generatePairingCode();
     await display.save();
 
     res.json({ 
       message: 'New pairing code generated',
-      pairingCode: display.pairingCode 
+      pairingCode: display.pairingCode,
+      expiresAt: display.pairingCodeExpiresAt
     });
   } catch (error) {
     console.error('Regenerate pairing code error:', error);
@@ -370,31 +466,50 @@ router.patch('/:displayId/regenerate-pairing-code', authenticateToken, async (re
   }
 });
 
-// Delete display
-router.delete('/:displayId', authenticateToken, async (req, res) => {
+// Revoke the display's device token so the screen must be paired again
+router.delete('/:displayId/device-token', authenticateToken, requireDisplay('displays:manage'), async (req, res) => {
   try {
     const { displayId } = req.params;
+    const { display } = req;
 
-    const display = await Display.findById(displayId);
-    if (!display) {
-      return res.status(404).json({ error: 'Display not found' });
-    }
+    display.deviceTokenId = null;
+    display.pairedAt = undefined;
+    await display.save();
 
-    // Remove display from restaurant
-    const restaurant = await Restaurant.findOne({ displays: displayId });
-    if (restaurant) {
-      restaurant.displays = restaurant.displays.filter(id => id.toString() !== displayId);
-      await restaurant.save();
+    // Tell the screen, then drop its socket connections
+    const io = req.app.get('io');
+    io.to(`device-${displayId}`).emit('device-token-revoked', { displayId });
+    io.in(`device-${displayId}`).disconnectSockets(true);
+
+    res.json(transformDisplay(display, pricingOf(req.restaurant)));
+  } catch (error) {
+    console.error('Revoke device token error:', error);
+    res.status(500).json({ error: 'Failed to revoke device token' });
+  }
+});
+
+// Delete display with its schedules, releasing the media it showed. With
+// ?dryRun=true nothing is deleted; the response lists what would be affected.
+router.delete('/:displayId', authenticateToken, requireDisplay('displays:manage'), [
+  query('dryRun').optional().isBoolean().toBoolean()
+], validateRequest, async (req, res) => {
+  try {
+    const { displayId } = req.params;
+    const { display, restaurant } = req;
+
+    const affected = await displayDeletionImpact(display);
+    if (req.query.dryRun) {
+      return res.json({ dryRun: true, affected });
     }
 
-    // Delete the display
-    await Display.findByIdAndDelete(displayId);
+    const { scheduleIds } = await deleteDisplay(display, restaurant);
 
-    // Emit socket event
+    // Emit socket events
     const io = req.app.get('io');
     io.to(`display-${displayId}`).emit('display-deleted', { displayId });
+    scheduleIds.forEach(scheduleId => io.to(`restaurant-${restaurant._id}`).emit('schedule-deleted', { scheduleId }));
 
-    res.json({ message: 'Display deleted successfully' });
+    res.json({ message: 'Display deleted successfully', affected });
   } catch (error) {
     console.error('Delete display error:', error);
     res.status(500).json({ error: 'Failed to delete display' });
@@ -1,67 +1,258 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
+const { requireRestaurant, requireItem } = require('../middleware/restaurantScope');
+const { OVERRIDABLE_FIELDS } = require('../services/catalog');
+const { createUpload, createAsset, renditionUrls, releaseAssets } = require('../services/media');
+const { resolveCategory } = require('../services/categories');
+const { pricingOf, formatItem } = require('../services/money');
+const { emitItemUpdated } = require('../services/playlists');
+const { setAvailability, emitAvailabilityChanged } = require('../services/availability');
+const { changeStock, setStock, clearStock, emitStockChanged } = require('../services/inventory');
+const { syncPriceOverride } = require('../services/priceSchedules');
+const { DAYS, timeToMinutes, nextLocalTime } = require('../services/scheduleResolver');
+const { itemDeletionImpact, deleteItem } = require('../services/deletions');
+const { dietaryValidation, updateDietaryConflict, itemFilterValidation, itemFiltersOf, itemFilterQuery, fullLegend } = require('../services/dietary');
+const MediaAsset = require('../models/MediaAsset');
 const Item = require('../models/Item');
-const Restaurant = require('../models/Restaurant');
-const multer = require('multer');
-const path = require('path');
+const CatalogItem = require('../models/CatalogItem');
+const PriceSchedule = require('../models/PriceSchedule');
+const PriceHistory = require('../models/PriceHistory');
+const StockHistory = require('../models/StockHistory');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'item-' + uniqueSuffix + path.extname(file.originalname));
-  }
+const upload = createUpload({
+  prefix: 'item',
+  types: ['image'],
+  maxSize: 5 * 1024 * 1024 // 5MB limit
 });
 
-const upload = multer({
-  storage: storage,
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'), false);
-    }
-  },
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
-  }
-});
+// Whether the item has variants after this request: those in the body, or on
+// an update that leaves `variants` out, the ones already stored
+const hasVariants = (req) => {
+  const variants = req.body.variants !== undefined ? req.body.variants : req.item && req.item.variants;
+  return Array.isArray(variants) && variants.length > 0;
+};
 
 // Validation rules
+const variantValidation = [
+  body('variants').optional().isArray(),
+  body('variants.*.name').notEmpty().trim(),
+  body('variants.*.price').isInt({ min: 0 }).toInt(),
+  body('variants.*.isAvailable').optional().isBoolean().toBoolean(),
+  body('variants').optional().custom(variants => {
+    const names = variants.map(variant => String(variant.name).trim().toLowerCase());
+    if (new Set(names).size !== names.length) {
+      throw new Error('Variant names must be unique');
+    }
+    return true;
+  })
+];
+
+const modifierValidation = [
+  body('modifierGroups').optional().isArray(),
+  body('modifierGroups.*.name').notEmpty().trim(),
+  body('modifierGroups.*.minSelections').optional().isInt({ min: 0 }).toInt(),
+  body('modifierGroups.*.maxSelections').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  body('modifierGroups.*').custom(group => {
+    const min = group.minSelections || 0;
+    const max = group.maxSelections;
+    if (max !== undefined && max !== null && Number(max) < Number(min)) {
+      throw new Error('maxSelections must be at least minSelections');
+    }
+    if (Array.isArray(group.options) && Number(min) > group.options.length) {
+      throw new Error('minSelections is more than the number of options');
+    }
+    return true;
+  }),
+  body('modifierGroups.*.options').isArray({ min: 1 }),
+  body('modifierGroups.*.options.*.name').notEmpty().trim(),
+  body('modifierGroups.*.options.*.price').optional().isInt({ min: 0 }).toInt(),
+  body('modifierGroups.*.options.*.isAvailable').optional().isBoolean().toBoolean()
+];
+
 const itemValidation = [
   body('name').notEmpty().trim(),
-  body('price').isFloat({ min: 0 }),
-  body('category').notEmpty().trim()
+  body('sku').optional({ values: 'null' }).isString().trim().notEmpty().isLength({ max: 64 }),
+  // Prices are whole minor units of the restaurant's currency (1299 for $12.99).
+  // Items with variants take their price from the variants.
+  body('price').if((value, { req }) => !hasVariants(req)).isInt({ min: 0 }).toInt(),
+  ...variantValidation,
+  ...modifierValidation,
+  ...dietaryValidation,
+  // A category ID, or a name matched against the restaurant's categories (created if new)
+  body('category').notEmpty().isString().trim(),
+  body('imageAsset').optional({ values: 'null' }).isMongoId()
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const isRecurring = body('type').equals('recurring');
+
+const priceScheduleValidation = [
+  body('type').isIn(['change', 'recurring']),
+  body('name').optional().isString().trim(),
+  body('effectiveAt').if(body('type').equals('change')).isISO8601().toDate(),
+  body('daysOfWeek').if(isRecurring).isArray({ min: 1 }),
+  body('daysOfWeek.*').isIn(DAYS),
+  body('startTime').if(isRecurring).matches(TIME_PATTERN),
+  body('endTime').if(isRecurring).matches(TIME_PATTERN),
+  body('endTime').if(isRecurring).custom((endTime, { req }) => {
+    if (timeToMinutes(endTime) <= timeToMinutes(req.body.startTime)) {
+      throw new Error('endTime must be after startTime');
+    }
+    return true;
+  }),
+  body('startDate').optional({ values: 'null' }).isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+  body('endDate').optional({ values: 'null' }).isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+  body('endDate').custom((endDate, { req }) => {
+    if (endDate && req.body.startDate && endDate < req.body.startDate) {
+      throw new Error('endDate must not be before startDate');
+    }
+    return true;
+  }),
+  body('price').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+  body('variantPrices').optional().isArray(),
+  body('variantPrices.*.variant').isMongoId(),
+  body('variantPrices.*.price').isInt({ min: 0 }).toInt(),
+  body('percentOff').optional({ values: 'null' }).isInt({ min: 1, max: 100 }).toInt()
+];
+
+// Check a price schedule's new prices against the item; returns an error message or null
+const priceScheduleError = (item, { price, variantPrices, percentOff }) => {
+  const hasPrice = price !== undefined && price !== null;
+  const hasVariantPrices = Array.isArray(variantPrices) && variantPrices.length > 0;
+
+  if (percentOff) {
+    return hasPrice || hasVariantPrices ? 'percentOff cannot be combined with price or variantPrices' : null;
+  }
+  if (item.variants.length > 0) {
+    if (hasPrice) return 'Items with variants take variantPrices instead of price';
+    if (!hasVariantPrices) return 'Give variantPrices or percentOff';
+    return variantPrices.every(entry => item.variants.id(entry.variant)) ? null : 'Variant not found';
+  }
+  if (hasVariantPrices) return 'Item has no variants';
+  return hasPrice ? null : 'Give a price or percentOff';
+};
+
+// Bring the item's price override in line with its recurring schedules right
+// away instead of at the next scheduler tick
+const refreshPriceOverride = async (req) => {
+  const { item, restaurant } = req;
+  const schedules = await PriceSchedule.find({ item: item._id, type: 'recurring', isActive: true });
+  if (await syncPriceOverride(item, schedules, restaurant.timezone)) {
+    await emitItemUpdated(req.app.get('io'), restaurant, item);
+  }
+};
+
+// Body of the availability toggles. Without `isAvailable` the availability
+// flips. Sold-out items can come back at `restoreAt`, or at the next
+// `restoreTime` ("HH:MM" in the restaurant's time zone, e.g. opening time).
+const availabilityValidation = [
+  body('isAvailable').optional().isBoolean().toBoolean(),
+  body('restoreAt').optional({ values: 'null' }).isISO8601().toDate(),
+  body('restoreTime').optional({ values: 'null' }).matches(TIME_PATTERN),
+  body('restoreTime').custom((restoreTime, { req }) => {
+    if (restoreTime && req.body.restoreAt) {
+      throw new Error('Give restoreAt or restoreTime, not both');
+    }
+    return true;
+  })
 ];
 
+// When a sold-out item should come back; returns { restoreAt } or { error }
+const resolveRestoreAt = (req, isAvailable) => {
+  const { restoreAt, restoreTime } = req.body;
+  if (!restoreAt && !restoreTime) return { restoreAt: null };
+  if (isAvailable) return { error: 'restoreAt and restoreTime only apply when marking sold out' };
+  if (restoreTime) return { restoreAt: nextLocalTime(restoreTime, req.restaurant.timezone) };
+  return restoreAt > new Date() ? { restoreAt } : { error: 'restoreAt must be in the future' };
+};
+
+// Stock settings. With resetCount and resetTime the count goes back to
+// resetCount every day at resetTime ("HH:MM" in the restaurant's time zone).
+const stockValidation = [
+  body('count').isInt({ min: 0 }).toInt(),
+  body('lowStockThreshold').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+  body('resetCount').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+  body('resetTime').optional({ values: 'null' }).matches(TIME_PATTERN),
+  body('resetTime').custom((resetTime, { req }) => {
+    const hasCount = req.body.resetCount !== undefined && req.body.resetCount !== null;
+    if (Boolean(resetTime) !== hasCount) {
+      throw new Error('Give both resetCount and resetTime for a daily reset');
+    }
+    return true;
+  })
+];
+
+// Stock adjustments take a `delta` (e.g. +10 restocked, -2 dropped) or the
+// `count` found when counting, plus an optional note for the audit trail
+const stockAdjustmentValidation = [
+  body('delta').optional().isInt().toInt(),
+  body('count').optional().isInt({ min: 0 }).toInt(),
+  body('delta').custom((delta, { req }) => {
+    if ((delta === undefined) === (req.body.count === undefined)) {
+      throw new Error('Give delta or count');
+    }
+    return true;
+  }),
+  body('note').optional().isString().trim().isLength({ max: 200 })
+];
+
+// Whether another of the restaurant's items already has this SKU
+const skuTaken = (restaurant, sku, itemId = null) =>
+  sku ? Item.exists({ restaurant: restaurant._id, sku, _id: { $ne: itemId } }) : false;
+
+// Resolve `imageAsset` to one of the restaurant's image assets.
+// Returns { asset } (null to clear the image), { error }, or {} when not given.
+const resolveImageAsset = async (restaurant, imageAsset) => {
+  if (imageAsset === undefined) return {};
+  if (imageAsset === null) return { asset: null };
+
+  const asset = await MediaAsset.findOne({ _id: imageAsset, restaurant: restaurant._id, mediaType: 'image' });
+  return asset ? { asset } : { error: 'Image asset not found' };
+};
+
 // Create item
-router.post('/restaurants/:restaurantId', authenticateToken, itemValidation, validateRequest, async (req, res) => {
+router.post('/restaurants/:restaurantId', authenticateToken, requireRestaurant('content:edit'), itemValidation, validateRequest, async (req, res) => {
   try {
     const { restaurantId } = req.params;
-    const { name, description, price, category, imageUrl, isAvailable = true } = req.body;
+    const { name, sku, description, price, variants, modifierGroups, allergens, dietaryTags, nutrition, category, imageUrl, isAvailable = true } = req.body;
+    const { restaurant } = req;
+
+    if (await skuTaken(restaurant, sku)) {
+      return res.status(409).json({ error: 'An item with this SKU already exists' });
+    }
 
-    // Verify restaurant ownership
-    const restaurant = await Restaurant.findById(restaurantId);
-    if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
+    const { asset, error } = await resolveImageAsset(restaurant, req.body.imageAsset);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const resolved = await resolveCategory(restaurant, category);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
     }
 
     const item = new Item({
       name,
+      sku: sku || undefined,
       description,
       price,
-      category,
-      imageUrl,
+      variants: variants || [],
+      modifierGroups: modifierGroups || [],
+      allergens: allergens || [],
+      dietaryTags: dietaryTags || [],
+      nutrition: nutrition || undefined,
+      category: resolved.category._id,
+      imageUrl: asset ? asset.url : imageUrl,
+      imageAsset: asset ? asset._id : null,
+      imageRenditions: renditionUrls(asset),
       isAvailable,
-      restaurant: restaurantId
+      restaurant: restaurant._id
     });
+    item.$locals.priceChange = { changedBy: req.user._id };
 
     await item.save();
 
@@ -71,28 +262,31 @@ router.post('/restaurants/:restaurantId', authenticateToken, itemValidation, val
 
     // Emit socket event
     const io = req.app.get('io');
-    io.to(`restaurant-${restaurantId}`).emit('item-created', { item });
+    const formatted = formatItem(item, pricingOf(restaurant));
+    io.to(`restaurant-${restaurantId}`).emit('item-created', { item: formatted });
 
-    res.status(201).json(item);
+    res.status(201).json(formatted);
   } catch (error) {
     console.error('Create item error:', error);
     res.status(500).json({ error: 'Failed to create item' });
   }
 });
 
-// Get items for restaurant
-router.get('/restaurants/:restaurantId', authenticateToken, async (req, res) => {
+// Every allergen and dietary tag with its label, code and icon
+router.get('/legend', authenticateToken, (req, res) => {
+  res.json(fullLegend());
+});
+
+// Get items for restaurant, optionally filtered by allergens, dietary tags and calories
+router.get('/restaurants/:restaurantId', authenticateToken, requireRestaurant(), itemFilterValidation, validateRequest, async (req, res) => {
   try {
     const { restaurantId } = req.params;
 
-    // Verify restaurant ownership
-    const restaurant = await Restaurant.findById(restaurantId);
-    if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    const items = await Item.find({ restaurant: restaurantId }).sort({ createdAt: -1 });
-    res.json(items);
+    const items = await Item.find({ restaurant: restaurantId, ...itemFilterQuery(itemFiltersOf(req.query)) })
+      .populate('category', 'name icon color order')
+      .sort({ createdAt: -1 });
+    const pricing = pricingOf(req.restaurant);
+    res.json(items.map(item => formatItem(item, pricing)));
   } catch (error) {
     console.error('Get items error:', error);
     res.status(500).json({ error: 'Failed to fetch items' });
@@ -100,96 +294,426 @@ router.get('/restaurants/:restaurantId', authenticateToken, async (req, res) =>
 });
 
 // Update item
-router.put('/:itemId', authenticateToken, itemValidation, validateRequest, async (req, res) => {
+router.put('/:itemId', authenticateToken, requireItem('content:edit'), itemValidation, validateRequest, async (req, res) => {
   try {
-    const { itemId } = req.params;
-    const { name, description, price, category, imageUrl, isAvailable } = req.body;
+    const { name, sku, description, price, variants, modifierGroups, allergens, dietaryTags, nutrition, category, imageUrl, isAvailable } = req.body;
+    const { item, restaurant } = req;
+    const previousAsset = item.imageAsset;
 
-    const item = await Item.findById(itemId);
-    if (!item) {
-      return res.status(404).json({ error: 'Item not found' });
+    if (await skuTaken(restaurant, sku, item._id)) {
+      return res.status(409).json({ error: 'An item with this SKU already exists' });
     }
-
-    // Verify ownership through restaurant
-    const restaurant = await Restaurant.findById(item.restaurant);
-    if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
+    // Left out, the SKU stays; null removes it
+    if (sku !== undefined) item.sku = sku || undefined;
+
+    if (item.catalogItem) {
+      // Linked items follow the catalog; only price and availability can differ per location
+      const catalogItem = await CatalogItem.findById(item.catalogItem);
+      item.price = price;
+      item.overrides.price = !catalogItem || Number(price) !== catalogItem.price;
+      if (isAvailable !== undefined) {
+        item.isAvailable = isAvailable;
+        item.overrides.isAvailable = !catalogItem || isAvailable !== catalogItem.isAvailable;
+      }
+    } else {
+      const dietaryError = updateDietaryConflict(item, req.body);
+      if (dietaryError) {
+        return res.status(400).json({ error: dietaryError });
+      }
+
+      const { asset, error } = await resolveImageAsset(restaurant, req.body.imageAsset);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const resolved = await resolveCategory(restaurant, category);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+
+      const previousImageUrl = item.imageUrl;
+      Object.assign(item, { name, description, category: resolved.category._id, imageUrl, isAvailable });
+      // Variant items are priced from their variants on save
+      if (!hasVariants(req)) item.price = price;
+      // Left out, variants, modifiers and dietary data stay as they are
+      if (variants !== undefined) item.variants = variants;
+      if (modifierGroups !== undefined) item.modifierGroups = modifierGroups;
+      if (allergens !== undefined) item.allergens = allergens;
+      if (dietaryTags !== undefined) item.dietaryTags = dietaryTags;
+      if (nutrition !== undefined) item.nutrition = nutrition || undefined;
+      if (asset !== undefined) {
+        item.imageAsset = asset ? asset._id : null;
+        item.imageUrl = asset ? asset.url : null;
+        item.imageRenditions = renditionUrls(asset);
+      } else if (imageUrl !== previousImageUrl) {
+        // A different plain URL replaces the asset
+        item.imageAsset = null;
+        item.imageRenditions = undefined;
+      }
     }
-
-    Object.assign(item, { name, description, price, category, imageUrl, isAvailable });
+    item.$locals.priceChange = { changedBy: req.user._id };
     await item.save();
+    if (previousAsset && String(previousAsset) !== String(item.imageAsset)) {
+      await releaseAssets(previousAsset);
+    }
 
     // Emit socket event
     const io = req.app.get('io');
-    io.to(`restaurant-${item.restaurant}`).emit('item-updated', { item });
+    await emitItemUpdated(io, restaurant, item);
 
-    res.json(item);
+    res.json(formatItem(item, pricingOf(restaurant)));
   } catch (error) {
     console.error('Update item error:', error);
     res.status(500).json({ error: 'Failed to update item' });
   }
 });
 
-// Toggle item availability
-router.patch('/:itemId/toggle', authenticateToken, async (req, res) => {
+// Toggle item availability, e.g. 86 it until opening time tomorrow
+router.patch('/:itemId/toggle', authenticateToken, requireItem('items:toggle'), availabilityValidation, validateRequest, async (req, res) => {
   try {
-    const { itemId } = req.params;
+    const { item, restaurant } = req;
 
-    const item = await Item.findById(itemId);
-    if (!item) {
-      return res.status(404).json({ error: 'Item not found' });
+    const isAvailable = req.body.isAvailable === undefined ? !item.isAvailable : req.body.isAvailable;
+    const { restoreAt, error } = resolveRestoreAt(req, isAvailable);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    // Verify ownership through restaurant
-    const restaurant = await Restaurant.findById(item.restaurant);
-    if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
+    setAvailability(item, isAvailable, restoreAt);
+    if (item.catalogItem) item.overrides.isAvailable = true;
+    await item.save();
+
+    // Emit socket event
+    const io = req.app.get('io');
+    await emitAvailabilityChanged(io, restaurant, item);
+
+    res.json(formatItem(item, pricingOf(restaurant)));
+  } catch (error) {
+    console.error('Toggle item availability error:', error);
+    res.status(500).json({ error: 'Failed to toggle item availability' });
+  }
+});
+
+// Toggle availability of one variant, e.g. when the large cups run out
+router.patch('/:itemId/variants/:variantId/toggle', authenticateToken, requireItem('items:toggle'), availabilityValidation, validateRequest, async (req, res) => {
+  try {
+    const { item, restaurant } = req;
+
+    const variant = item.variants.id(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    const isAvailable = req.body.isAvailable === undefined ? !variant.isAvailable : req.body.isAvailable;
+    const { restoreAt, error } = resolveRestoreAt(req, isAvailable);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    item.isAvailable = !item.isAvailable;
+    setAvailability(variant, isAvailable, restoreAt);
+    // The item price follows the cheapest available variant
+    item.$locals.priceChange = { changedBy: req.user._id };
     await item.save();
 
     // Emit socket event
     const io = req.app.get('io');
-    io.to(`restaurant-${item.restaurant}`).emit('item-availability-changed', { 
-      itemId: item._id, 
-      isAvailable: item.isAvailable 
+    await emitAvailabilityChanged(io, restaurant, item, variant);
+
+    res.json(formatItem(item, pricingOf(restaurant)));
+  } catch (error) {
+    console.error('Toggle variant availability error:', error);
+    res.status(500).json({ error: 'Failed to toggle variant availability' });
+  }
+});
+
+// Start counting the item's stock or change its stock settings
+router.put('/:itemId/stock', authenticateToken, requireItem('content:edit'), stockValidation, validateRequest, async (req, res) => {
+  try {
+    const { item, restaurant } = req;
+
+    const result = await setStock(item, req.body, { timeZone: restaurant.timezone, changedBy: req.user._id });
+
+    // Emit socket event
+    const io = req.app.get('io');
+    await emitStockChanged(io, restaurant, result);
+
+    res.json(formatItem(result.item, pricingOf(restaurant)));
+  } catch (error) {
+    console.error('Set item stock error:', error);
+    res.status(500).json({ error: 'Failed to set item stock' });
+  }
+});
+
+// Stop counting the item's stock
+router.delete('/:itemId/stock', authenticateToken, requireItem('content:edit'), async (req, res) => {
+  try {
+    const { item, restaurant } = req;
+
+    if (!item.stock) {
+      return res.status(400).json({ error: 'Item stock is not counted' });
+    }
+
+    const result = await clearStock(item);
+
+    // Emit socket event
+    const io = req.app.get('io');
+    await emitStockChanged(io, restaurant, result);
+
+    res.json(formatItem(result.item, pricingOf(restaurant)));
+  } catch (error) {
+    console.error('Clear item stock error:', error);
+    res.status(500).json({ error: 'Failed to clear item stock' });
+  }
+});
+
+// Take sold or used portions off the stock; the item sells out at zero
+router.post('/:itemId/stock/decrement', authenticateToken, requireItem('items:toggle'), [
+  body('quantity').optional().isInt({ min: 1 }).toInt(),
+  body('note').optional().isString().trim().isLength({ max: 200 })
+], validateRequest, async (req, res) => {
+  try {
+    const { quantity = 1, note } = req.body;
+    const { item, restaurant } = req;
+
+    if (!item.stock) {
+      return res.status(400).json({ error: 'Item stock is not counted' });
+    }
+
+    const result = await changeStock(item, { delta: -quantity }, { reason: 'decrement', note, changedBy: req.user._id });
+    if (!result) {
+      return res.status(409).json({ error: 'Not enough stock' });
+    }
+
+    // Emit socket event
+    const io = req.app.get('io');
+    await emitStockChanged(io, restaurant, result);
+
+    res.json(formatItem(result.item, pricingOf(restaurant)));
+  } catch (error) {
+    console.error('Decrement item stock error:', error);
+    res.status(500).json({ error: 'Failed to decrement item stock' });
+  }
+});
+
+// Correct the stock after restocking, counting or waste
+router.post('/:itemId/stock/adjust', authenticateToken, requireItem('items:toggle'), stockAdjustmentValidation, validateRequest, async (req, res) => {
+  try {
+    const { delta, count, note } = req.body;
+    const { item, restaurant } = req;
+
+    if (!item.stock) {
+      return res.status(400).json({ error: 'Item stock is not counted' });
+    }
+
+    const result = await changeStock(item, { delta, count }, { reason: 'adjust', note, changedBy: req.user._id });
+    if (!result) {
+      return res.status(409).json({ error: 'Stock cannot go below zero' });
+    }
+
+    // Emit socket event
+    const io = req.app.get('io');
+    await emitStockChanged(io, restaurant, result);
+
+    res.json(formatItem(result.item, pricingOf(restaurant)));
+  } catch (error) {
+    console.error('Adjust item stock error:', error);
+    res.status(500).json({ error: 'Failed to adjust item stock' });
+  }
+});
+
+// Get the item's stock changes, newest first; `before` pages back through them
+router.get('/:itemId/stock-history', authenticateToken, requireItem(), [
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('before').optional().isISO8601().toDate()
+], validateRequest, async (req, res) => {
+  try {
+    const { limit = 50, before } = req.query;
+
+    const filter = { item: req.item._id };
+    if (before) filter.createdAt = { $lt: before };
+
+    const history = await StockHistory.find(filter)
+      .populate('changedBy', 'email')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    res.json(history);
+  } catch (error) {
+    console.error('Get stock history error:', error);
+    res.status(500).json({ error: 'Failed to fetch stock history' });
+  }
+});
+
+// Override or restore catalog values for a location's linked item.
+// A value overrides the catalog; null goes back to following it.
+router.patch('/:itemId/overrides', authenticateToken, requireItem('content:edit'), [
+  body('price').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+  body('isAvailable').optional({ values: 'null' }).isBoolean()
+], validateRequest, async (req, res) => {
+  try {
+    const { item, restaurant } = req;
+
+    if (!item.catalogItem) {
+      return res.status(400).json({ error: 'Item is not linked to a catalog item' });
+    }
+
+    const catalogItem = await CatalogItem.findById(item.catalogItem);
+
+    OVERRIDABLE_FIELDS.forEach(field => {
+      if (req.body[field] === undefined) return;
+
+      if (req.body[field] === null) {
+        item.overrides[field] = false;
+        if (catalogItem) item[field] = catalogItem[field];
+      } else {
+        item.overrides[field] = true;
+        item[field] = req.body[field];
+      }
     });
+    item.$locals.priceChange = { changedBy: req.user._id };
+    await item.save();
 
-    res.json(item);
+    // Emit socket event
+    const io = req.app.get('io');
+    await emitItemUpdated(io, restaurant, item);
+
+    res.json(formatItem(item, pricingOf(restaurant)));
   } catch (error) {
-    console.error('Toggle item availability error:', error);
-    res.status(500).json({ error: 'Failed to toggle item availability' });
+    console.error('Update item overrides error:', error);
+    res.status(500).json({ error: 'Failed to update item overrides' });
   }
 });
 
-// Delete item
-router.delete('/:itemId', authenticateToken, async (req, res) => {
+// Schedule a price change or a recurring price window (e.g. happy hour)
+router.post('/:itemId/price-schedules', authenticateToken, requireItem('content:edit'), priceScheduleValidation, validateRequest, async (req, res) => {
   try {
-    const { itemId } = req.params;
+    const { type, name, effectiveAt, daysOfWeek, startTime, endTime, startDate, endDate, price, variantPrices, percentOff } = req.body;
+    const { item, restaurant } = req;
 
-    const item = await Item.findById(itemId);
-    if (!item) {
-      return res.status(404).json({ error: 'Item not found' });
+    const error = priceScheduleError(item, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (type === 'change' && effectiveAt <= new Date()) {
+      return res.status(400).json({ error: 'effectiveAt must be in the future' });
     }
 
-    // Verify ownership through restaurant
-    const restaurant = await Restaurant.findById(item.restaurant);
-    if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
+    const recurring = type === 'recurring';
+    const priceSchedule = new PriceSchedule({
+      restaurant: restaurant._id,
+      item: item._id,
+      name,
+      type,
+      effectiveAt: recurring ? undefined : effectiveAt,
+      daysOfWeek: recurring ? daysOfWeek : undefined,
+      startTime: recurring ? startTime : undefined,
+      endTime: recurring ? endTime : undefined,
+      startDate: recurring ? startDate : undefined,
+      endDate: recurring ? endDate : undefined,
+      price: percentOff ? undefined : price,
+      variantPrices: percentOff ? [] : variantPrices || [],
+      percentOff,
+      createdBy: req.user._id
+    });
+    await priceSchedule.save();
+
+    // A window that is already open starts now
+    if (recurring) await refreshPriceOverride(req);
+
+    // Emit socket event
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurant._id}`).emit('price-schedule-created', { priceSchedule });
+
+    res.status(201).json(priceSchedule);
+  } catch (error) {
+    console.error('Create price schedule error:', error);
+    res.status(500).json({ error: 'Failed to create price schedule' });
+  }
+});
+
+// Get the item's price schedules, applied changes included
+router.get('/:itemId/price-schedules', authenticateToken, requireItem(), async (req, res) => {
+  try {
+    const priceSchedules = await PriceSchedule.find({ item: req.item._id }).sort({ type: 1, effectiveAt: 1, startTime: 1 });
+    res.json(priceSchedules);
+  } catch (error) {
+    console.error('Get price schedules error:', error);
+    res.status(500).json({ error: 'Failed to fetch price schedules' });
+  }
+});
+
+// Cancel a price schedule; an open recurring window closes right away
+router.delete('/:itemId/price-schedules/:priceScheduleId', authenticateToken, requireItem('content:edit'), async (req, res) => {
+  try {
+    const { priceScheduleId } = req.params;
+    const { item, restaurant } = req;
+
+    const priceSchedule = await PriceSchedule.findOne({ _id: priceScheduleId, item: item._id });
+    if (!priceSchedule) {
+      return res.status(404).json({ error: 'Price schedule not found' });
+    }
+    if (priceSchedule.appliedAt) {
+      return res.status(409).json({ error: 'Price change was already applied' });
     }
 
-    await Item.findByIdAndDelete(itemId);
+    await priceSchedule.deleteOne();
+    if (priceSchedule.type === 'recurring') await refreshPriceOverride(req);
 
-    // Remove from restaurant
-    restaurant.items = restaurant.items.filter(id => id.toString() !== itemId);
-    await restaurant.save();
+    // Emit socket event
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurant._id}`).emit('price-schedule-deleted', { itemId: item._id, priceScheduleId });
+
+    res.json({ message: 'Price schedule deleted successfully' });
+  } catch (error) {
+    console.error('Delete price schedule error:', error);
+    res.status(500).json({ error: 'Failed to delete price schedule' });
+  }
+});
+
+// Get the item's price history, newest first; `before` pages back through it
+router.get('/:itemId/price-history', authenticateToken, requireItem(), [
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('before').optional().isISO8601().toDate()
+], validateRequest, async (req, res) => {
+  try {
+    const { limit = 50, before } = req.query;
+
+    const filter = { item: req.item._id };
+    if (before) filter.createdAt = { $lt: before };
+
+    const history = await PriceHistory.find(filter)
+      .populate('changedBy', 'email')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    res.json(history);
+  } catch (error) {
+    console.error('Get price history error:', error);
+    res.status(500).json({ error: 'Failed to fetch price history' });
+  }
+});
+
+// Delete item, taking it off every menu. With ?dryRun=true nothing is
+// deleted; the response lists what would be affected.
+router.delete('/:itemId', authenticateToken, requireItem('content:edit'), [
+  query('dryRun').optional().isBoolean().toBoolean()
+], validateRequest, async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const { item, restaurant } = req;
+
+    // Found before the item leaves its menus
+    const affected = await itemDeletionImpact(item);
+    if (req.query.dryRun) {
+      return res.json({ dryRun: true, affected });
+    }
+
+    await deleteItem(item, restaurant);
 
     // Emit socket event
     const io = req.app.get('io');
-    io.to(`restaurant-${item.restaurant}`).emit('item-deleted', { itemId });
+    io.to(`restaurant-${restaurant._id}`).emit('item-deleted', { itemId });
+    affected.displays.forEach(display => io.to(`display-${display._id}`).emit('item-deleted', { itemId }));
 
-    res.json({ message: 'Item deleted successfully' });
+    res.json({ message: 'Item deleted successfully', affected });
   } catch (error) {
     console.error('Delete item error:', error);
     res.status(500).json({ error: 'Failed to delete item' });
@@ -197,34 +721,29 @@ router.delete('/:itemId', authenticateToken, async (req, res) => {
 });
 
 // Upload image for item
-router.post('/:itemId/upload-image', authenticateToken, upload.single('image'), async (req, res) => {
+router.post('/:itemId/upload-image', authenticateToken, requireItem('content:edit'), upload.single('image'), async (req, res) => {
   try {
-    const { itemId } = req.params;
+    const { item, restaurant } = req;
     
     if (!req.file) {
       return res.status(400).json({ error: 'No image uploaded' });
     }
 
-    const item = await Item.findById(itemId);
-    if (!item) {
-      return res.status(404).json({ error: 'Item not found' });
-    }
-
-    // Verify ownership through restaurant
-    const restaurant = await Restaurant.findById(item.restaurant);
-    if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    const imageUrl = `/uploads/${req.file.filename}`;
+    // Uploads made here stay out of the media library and are removed once replaced
+    const previousAsset = item.imageAsset;
+    const asset = await createAsset(req.file, { restaurant, user: req.user, library: false });
+    const imageUrl = asset.url;
     item.imageUrl = imageUrl;
+    item.imageAsset = asset._id;
+    item.imageRenditions = renditionUrls(asset);
     await item.save();
+    await releaseAssets(previousAsset);
 
     // Emit socket event
     const io = req.app.get('io');
-    io.to(`restaurant-${item.restaurant}`).emit('item-updated', { item });
+    await emitItemUpdated(io, restaurant, item);
 
-    res.json({ imageUrl });
+    res.json({ imageUrl, imageRenditions: item.imageRenditions });
   } catch (error) {
     console.error('Upload image error:', error);
     res.status(500).json({ error: 'Failed to upload image' });
@@ -0,0 +1,136 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const { requireRestaurant, requireMediaAsset } = require('../middleware/restaurantScope');
+const { createUpload, createAsset, removeAsset, getAssetUsage } = require('../services/media');
+const MediaAsset = require('../models/MediaAsset');
+
+const router = express.Router();
+
+const upload = createUpload({ prefix: 'media' });
+
+// Tags arrive as an array, or as a comma-separated string from multipart forms
+const parseTags = (tags) => {
+  if (tags === undefined || tags === null) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+// Upload an asset to the restaurant's media library
+router.post('/restaurants/:restaurantId', authenticateToken, requireRestaurant('content:edit'), upload.single('file'), [
+  body('name').optional().trim()
+], validateRequest, async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const { restaurant } = req;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const asset = await createAsset(req.file, {
+      restaurant,
+      user: req.user,
+      name: req.body.name,
+      tags: parseTags(req.body.tags)
+    });
+
+    // Emit socket event
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurantId}`).emit('media-created', { asset });
+
+    res.status(201).json(asset);
+  } catch (error) {
+    console.error('Upload media asset error:', error);
+    res.status(500).json({ error: 'Failed to upload media asset' });
+  }
+});
+
+// List the restaurant's media library, optionally filtered by type and tag
+router.get('/restaurants/:restaurantId', authenticateToken, requireRestaurant(), [
+  query('type').optional().isIn(['image', 'video']),
+  query('tag').optional().trim().toLowerCase(),
+  query('all').optional().isBoolean().toBoolean()
+], validateRequest, async (req, res) => {
+  try {
+    const { type, tag, all } = req.query;
+
+    const filter = { restaurant: req.restaurant._id };
+    // Uploads made straight onto a display, item or slide are hidden unless `all` is set
+    if (!all) filter.library = true;
+    if (type) filter.mediaType = type;
+    if (tag) filter.tags = tag;
+
+    const assets = await MediaAsset.find(filter).sort({ createdAt: -1 });
+    res.json(assets);
+  } catch (error) {
+    console.error('Get media assets error:', error);
+    res.status(500).json({ error: 'Failed to fetch media assets' });
+  }
+});
+
+// Get specific asset and where it is used
+router.get('/:assetId', authenticateToken, requireMediaAsset(), async (req, res) => {
+  try {
+    const { asset } = req;
+
+    const { inUse, displays, items, catalogItems, playlists } = await getAssetUsage(asset);
+    res.json({ ...asset.toObject(), usage: { inUse, displays, items, catalogItems, playlists } });
+  } catch (error) {
+    console.error('Get media asset error:', error);
+    res.status(500).json({ error: 'Failed to fetch media asset' });
+  }
+});
+
+// Rename, retag, or keep an upload in the library
+router.patch('/:assetId', authenticateToken, requireMediaAsset('content:edit'), [
+  body('name').optional().notEmpty().trim(),
+  body('tags').optional(),
+  body('library').optional().isBoolean()
+], validateRequest, async (req, res) => {
+  try {
+    const { name, tags, library } = req.body;
+    const { asset, restaurant } = req;
+
+    if (name !== undefined) asset.name = name;
+    if (tags !== undefined) asset.tags = parseTags(tags);
+    if (library !== undefined) asset.library = library;
+    await asset.save();
+
+    // Emit socket event
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurant._id}`).emit('media-updated', { asset });
+
+    res.json(asset);
+  } catch (error) {
+    console.error('Update media asset error:', error);
+    res.status(500).json({ error: 'Failed to update media asset' });
+  }
+});
+
+// Delete an asset and its file; assets still in use are refused
+router.delete('/:assetId', authenticateToken, requireMediaAsset('content:edit'), async (req, res) => {
+  try {
+    const { assetId } = req.params;
+    const { asset, restaurant } = req;
+
+    const usage = await getAssetUsage(asset);
+    if (usage.inUse) {
+      return res.status(409).json({ error: 'Media asset is in use', usage });
+    }
+
+    await removeAsset(asset);
+
+    // Emit socket event
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurant._id}`).emit('media-deleted', { assetId });
+
+    res.json({ message: 'Media asset deleted successfully' });
+  } catch (error) {
+    console.error('Delete media asset error:', error);
+    res.status(500).json({ error: 'Failed to delete media asset' });
+  }
+});
+
+module.exports = router;
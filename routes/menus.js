@@ -1,10 +1,14 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
+const { requireRestaurant, requireMenu, belongsToRestaurant } = require('../middleware/restaurantScope');
+const { MENU_LAYOUT_POPULATE, sectionsFromItems, buildMenuLayout } = require('../services/menus');
+const { pricingOf } = require('../services/money');
+const { emitRotation } = require('../services/playlists');
+const { menuDeletionImpact, deleteMenu } = require('../services/deletions');
+const { itemFilterValidation, itemFiltersOf } = require('../services/dietary');
 const Menu = require('../models/Menu');
-const Restaurant = require('../models/Restaurant');
-const Item = require('../models/Item');
 
 const router = express.Router();
 
@@ -12,26 +16,76 @@ const router = express.Router();
 const menuValidation = [
   body('name').notEmpty().trim(),
   body('description').optional().trim(),
-  body('items').optional().isArray()
+  body('items').optional().isArray(),
+  body('sections').optional().isArray(),
+  body('sections.*.name').optional({ values: 'null' }).isString().trim(),
+  body('sections.*.category').optional({ values: 'null' }).isMongoId(),
+  body('sections.*.items').optional().isArray(),
+  body('sections.*').custom(section => {
+    if (!section.name && !section.category) {
+      throw new Error('Sections need a name or a category');
+    }
+    return true;
+  })
 ];
 
+// Sections from the request body: `sections` as given, or a flat `items`
+// list grouped by category. Returns { sections }, { error }, or {} when neither is given.
+const resolveSections = async (restaurant, { sections, items }) => {
+  if (sections === undefined && items === undefined) return {};
+
+  if (sections === undefined) {
+    if (!belongsToRestaurant(restaurant, 'items', items)) {
+      return { error: 'Items must belong to this restaurant' };
+    }
+    return { sections: await sectionsFromItems(items) };
+  }
+
+  const normalized = sections.map(section => ({
+    name: section.name || undefined,
+    category: section.category || null,
+    items: section.items || []
+  }));
+
+  const itemIds = normalized.flatMap(section => section.items);
+  if (!belongsToRestaurant(restaurant, 'items', itemIds)) {
+    return { error: 'Items must belong to this restaurant' };
+  }
+  const categoryIds = normalized.map(section => section.category).filter(Boolean);
+  if (!belongsToRestaurant(restaurant, 'categories', categoryIds)) {
+    return { error: 'Categories must belong to this restaurant' };
+  }
+  return { sections: normalized };
+};
+
+// Whether `ids` is exactly the IDs of `docs`, in any order
+const sameIds = (ids, docs) => ids.length === docs.length &&
+  new Set(ids.map(String)).size === ids.length &&
+  docs.every(doc => ids.map(String).includes(String(doc._id || doc)));
+
+const emitMenuUpdated = async (req, menu) => {
+  await menu.populate(MENU_LAYOUT_POPULATE);
+  const io = req.app.get('io');
+  io.to(`menu-${menu._id}`).emit('menu-updated', { menu: buildMenuLayout(menu, pricingOf(req.restaurant)) });
+};
+
 // Create menu for a restaurant
-router.post('/restaurants/:restaurantId', authenticateToken, menuValidation, validateRequest, async (req, res) => {
+router.post('/restaurants/:restaurantId', authenticateToken, requireRestaurant('content:edit'), menuValidation, validateRequest, async (req, res) => {
   try {
     const { restaurantId } = req.params;
-    const { name, description, items } = req.body;
+    const { name, description } = req.body;
+    const { restaurant } = req;
 
-    // Verify restaurant ownership
-    const restaurant = await Restaurant.findById(restaurantId);
-    if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
+    const { sections, error } = await resolveSections(restaurant, req.body);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
     // Create menu
     const menu = new Menu({
       name,
       description,
-      items: items || []
+      sections: sections || []
     });
     await menu.save();
 
@@ -39,47 +93,37 @@ router.post('/restaurants/:restaurantId', authenticateToken, menuValidation, val
     restaurant.menus.push(menu._id);
     await restaurant.save();
 
+    await menu.populate(MENU_LAYOUT_POPULATE);
+    const layout = buildMenuLayout(menu, pricingOf(req.restaurant));
+
     // Emit socket event
     const io = req.app.get('io');
-    io.to(`restaurant-${restaurantId}`).emit('menu-created', { menu });
+    io.to(`restaurant-${restaurantId}`).emit('menu-created', { menu: layout });
 
-    res.status(201).json(menu);
+    res.status(201).json(layout);
   } catch (error) {
     console.error('Create menu error:', error);
     res.status(500).json({ error: 'Failed to create menu' });
   }
 });
 
-// Get all menus for a restaurant
-router.get('/restaurants/:restaurantId', authenticateToken, async (req, res) => {
+// Get all menus for a restaurant; item filters as on GET /items/restaurants/:restaurantId
+router.get('/restaurants/:restaurantId', authenticateToken, requireRestaurant(), itemFilterValidation, validateRequest, async (req, res) => {
   try {
-    const { restaurantId } = req.params;
-
-    // Verify restaurant ownership
-    const restaurant = await Restaurant.findById(restaurantId);
-    if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    const menus = await Menu.find({ _id: { $in: restaurant.menus } }).populate('items');
-    res.json(menus);
+    const filters = itemFiltersOf(req.query);
+    const menus = await Menu.find({ _id: { $in: req.restaurant.menus } }).populate(MENU_LAYOUT_POPULATE);
+    res.json(menus.map(menu => buildMenuLayout(menu, pricingOf(req.restaurant), { filters })));
   } catch (error) {
     console.error('Get menus error:', error);
     res.status(500).json({ error: 'Failed to fetch menus' });
   }
 });
 
-// Get specific menu
-router.get('/:menuId', authenticateToken, async (req, res) => {
+// Get specific menu, laid out as the boards render it, optionally filtered
+router.get('/:menuId', authenticateToken, requireMenu(), itemFilterValidation, validateRequest, async (req, res) => {
   try {
-    const { menuId } = req.params;
-    const menu = await Menu.findById(menuId).populate('items');
-    
-    if (!menu) {
-      return res.status(404).json({ error: 'Menu not found' });
-    }
-
-    res.json(menu);
+    await req.menu.populate(MENU_LAYOUT_POPULATE);
+    res.json(buildMenuLayout(req.menu, pricingOf(req.restaurant), { filters: itemFiltersOf(req.query) }));
   } catch (error) {
     console.error('Get menu error:', error);
     res.status(500).json({ error: 'Failed to fetch menu' });
@@ -87,63 +131,116 @@ router.get('/:menuId', authenticateToken, async (req, res) => {
 });
 
 // Update menu
-router.put('/:menuId', authenticateToken, menuValidation, validateRequest, async (req, res) => {
+router.put('/:menuId', authenticateToken, requireMenu('content:edit'), menuValidation, validateRequest, async (req, res) => {
   try {
-    const { menuId } = req.params;
-    const { name, description, items } = req.body;
+    const { name, description } = req.body;
+    const { menu } = req;
 
-    const menu = await Menu.findById(menuId);
-    if (!menu) {
-      return res.status(404).json({ error: 'Menu not found' });
+    const { sections, error } = await resolveSections(req.restaurant, req.body);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
     // Update menu
     menu.name = name || menu.name;
     menu.description = description !== undefined ? description : menu.description;
-    if (items !== undefined) {
-      menu.items = items;
+    if (sections !== undefined) {
+      menu.sections = sections;
     }
     await menu.save();
 
-    // Emit socket event
-    const io = req.app.get('io');
-    io.to(`menu-${menuId}`).emit('menu-updated', { menu });
+    await emitMenuUpdated(req, menu);
 
-    res.json(menu);
+    res.json(buildMenuLayout(menu, pricingOf(req.restaurant)));
   } catch (error) {
     console.error('Update menu error:', error);
     res.status(500).json({ error: 'Failed to update menu' });
   }
 });
 
-// Delete menu
-router.delete('/:menuId', authenticateToken, async (req, res) => {
+// Reorder a menu's sections; `sectionIds` must list every section once
+router.patch('/:menuId/sections/order', authenticateToken, requireMenu('content:edit'), [
+  body('sectionIds').isArray(),
+  body('sectionIds.*').isMongoId()
+], validateRequest, async (req, res) => {
   try {
-    const { menuId } = req.params;
+    const { sectionIds } = req.body;
+    const { menu } = req;
 
-    const menu = await Menu.findById(menuId);
-    if (!menu) {
-      return res.status(404).json({ error: 'Menu not found' });
+    if (!sameIds(sectionIds, menu.sections)) {
+      return res.status(400).json({ error: 'sectionIds must list every section of the menu once' });
     }
 
-    // Remove menu from restaurant
-    const restaurant = await Restaurant.findOne({ menus: menuId });
-    if (restaurant) {
-      restaurant.menus = restaurant.menus.filter(id => id.toString() !== menuId);
-      await restaurant.save();
+    menu.sections = sectionIds.map(id => menu.sections.id(id).toObject());
+    await menu.save();
+
+    await emitMenuUpdated(req, menu);
+
+    res.json(buildMenuLayout(menu, pricingOf(req.restaurant)));
+  } catch (error) {
+    console.error('Reorder menu sections error:', error);
+    res.status(500).json({ error: 'Failed to reorder sections' });
+  }
+});
+
+// Reorder the items of a section; `itemIds` must list every item in it once
+router.patch('/:menuId/sections/:sectionId/order', authenticateToken, requireMenu('content:edit'), [
+  body('itemIds').isArray(),
+  body('itemIds.*').isMongoId()
+], validateRequest, async (req, res) => {
+  try {
+    const { itemIds } = req.body;
+    const { menu } = req;
+
+    const section = menu.sections.id(req.params.sectionId);
+    if (!section) {
+      return res.status(404).json({ error: 'Section not found' });
+    }
+    if (!sameIds(itemIds, section.items)) {
+      return res.status(400).json({ error: 'itemIds must list every item of the section once' });
     }
 
-    await Menu.findByIdAndDelete(menuId);
+    section.items = itemIds;
+    await menu.save();
 
-    // Emit socket event
+    await emitMenuUpdated(req, menu);
+
+    res.json(buildMenuLayout(menu, pricingOf(req.restaurant)));
+  } catch (error) {
+    console.error('Reorder section items error:', error);
+    res.status(500).json({ error: 'Failed to reorder items' });
+  }
+});
+
+// Delete menu. Displays showing it are left without a current menu, its
+// schedules are deleted and playlists lose its slides. With ?dryRun=true
+// nothing is deleted; the response lists what would be affected.
+router.delete('/:menuId', authenticateToken, requireMenu('content:edit'), [
+  query('dryRun').optional().isBoolean().toBoolean()
+], validateRequest, async (req, res) => {
+  try {
+    const { menuId } = req.params;
+    const { menu, restaurant } = req;
+
+    const affected = await menuDeletionImpact(menu);
+    if (req.query.dryRun) {
+      return res.json({ dryRun: true, affected });
+    }
+
+    const { displayIds, scheduleIds } = await deleteMenu(menu, restaurant);
+
+    // Emit socket events
     const io = req.app.get('io');
     io.to(`menu-${menuId}`).emit('menu-deleted', { menuId });
+    scheduleIds.forEach(scheduleId => io.to(`restaurant-${restaurant._id}`).emit('schedule-deleted', { scheduleId }));
+    affected.displays.forEach(display => io.to(`display-${display._id}`).emit('menu-assigned', { displayId: display._id, menuId: null }));
+    await emitRotation(io, displayIds);
 
-    res.json({ message: 'Menu deleted successfully' });
+    res.json({ message: 'Menu deleted successfully', affected });
   } catch (error) {
     console.error('Delete menu error:', error);
     res.status(500).json({ error: 'Failed to delete menu' });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,308 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const { requireOrganization, getRole } = require('../middleware/restaurantScope');
+const { syncLinkedItems, addToLocations, unlinkItems } = require('../services/catalog');
+const { organizationStats } = require('../services/stats');
+const Organization = require('../models/Organization');
+const Restaurant = require('../models/Restaurant');
+const CatalogItem = require('../models/CatalogItem');
+const { isValidCurrency, isValidLocale } = require('../services/money');
+const { dietaryValidation, updateDietaryConflict } = require('../services/dietary');
+
+const router = express.Router();
+
+// Validation rules
+const currencyValidation = body('currency').optional().isString().trim().toUpperCase().custom(currency => {
+  if (!isValidCurrency(currency)) {
+    throw new Error('Invalid currency code');
+  }
+  return true;
+});
+
+const organizationValidation = [
+  body('name').notEmpty().trim(),
+  currencyValidation,
+  body('restaurants').optional().isArray(),
+  body('restaurants.*').isMongoId()
+];
+
+const locationValidation = [
+  body('name').notEmpty().trim(),
+  body('timezone').optional().custom(timezone => {
+    if (!Restaurant.isValidTimeZone(timezone)) {
+      throw new Error('Invalid time zone');
+    }
+    return true;
+  }),
+  body('locale').optional().custom(locale => {
+    if (!isValidLocale(locale)) {
+      throw new Error('Invalid locale');
+    }
+    return true;
+  })
+];
+
+// Catalog prices are minor units of the organization's currency
+const catalogItemValidation = [
+  body('name').notEmpty().trim(),
+  body('price').isInt({ min: 0 }).toInt(),
+  body('category').notEmpty().trim(),
+  ...dietaryValidation,
+  body('locations').optional().isArray(),
+  body('locations.*').isMongoId()
+];
+
+const locationsValidation = [
+  body('locations').isArray({ min: 1 }),
+  body('locations.*').isMongoId()
+];
+
+// Load the organization's restaurants among the given IDs
+const findLocations = (organization, ids) => Restaurant.find({
+  _id: { $in: ids.filter(id => organization.restaurants.some(r => r.toString() === id)) }
+});
+
+// Catalog prices can only be copied to locations that price in the same currency
+const currencyMismatch = (organization, restaurants) => restaurants.filter(r => r.currency !== organization.currency);
+
+const currencyMismatchError = (organization, restaurants) => ({
+  error: `Locations must use the catalog currency (${organization.currency})`,
+  locations: restaurants.map(r => ({ id: r._id, name: r.name, currency: r.currency }))
+});
+
+// Create organization, optionally grouping restaurants the user owns
+router.post('/', authenticateToken, organizationValidation, validateRequest, async (req, res) => {
+  try {
+    const { name, currency, restaurants = [] } = req.body;
+
+    const owned = await Restaurant.find({ _id: { $in: restaurants } });
+    if (owned.length !== restaurants.length || owned.some(r => getRole(r, req.user) !== 'owner')) {
+      return res.status(403).json({ error: 'You can only add restaurants you own' });
+    }
+    if (owned.some(r => r.organization)) {
+      return res.status(400).json({ error: 'Restaurant already belongs to an organization' });
+    }
+
+    const organization = new Organization({
+      name,
+      currency,
+      owner: req.user._id,
+      restaurants: owned.map(r => r._id)
+    });
+    await organization.save();
+
+    await Restaurant.updateMany({ _id: { $in: organization.restaurants } }, { organization: organization._id });
+
+    res.status(201).json(organization);
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({ error: 'Failed to create organization' });
+  }
+});
+
+// Get organizations owned by the user
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const organizations = await Organization.find({ owner: req.user._id })
+      .populate('restaurants', 'name timezone');
+    res.json(organizations);
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({ error: 'Failed to fetch organizations' });
+  }
+});
+
+// Get organization by ID
+router.get('/:organizationId', authenticateToken, requireOrganization(), async (req, res) => {
+  try {
+    const organization = await req.organization.populate('restaurants', 'name timezone');
+    res.json(organization);
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({ error: 'Failed to fetch organization' });
+  }
+});
+
+// Update organization; changing the currency does not convert catalog prices
+router.put('/:organizationId', authenticateToken, requireOrganization(), body('name').notEmpty().trim(), currencyValidation, validateRequest, async (req, res) => {
+  try {
+    const { organization } = req;
+
+    organization.name = req.body.name;
+    if (req.body.currency) organization.currency = req.body.currency;
+    await organization.save();
+
+    res.json(organization);
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({ error: 'Failed to update organization' });
+  }
+});
+
+// Add a new location to the organization
+router.post('/:organizationId/restaurants', authenticateToken, requireOrganization(), locationValidation, validateRequest, async (req, res) => {
+  try {
+    const { name, timezone, locale } = req.body;
+    const { organization } = req;
+
+    // New locations price in the organization's currency
+    const restaurant = new Restaurant({
+      name,
+      timezone,
+      currency: organization.currency,
+      locale,
+      owner: organization.owner,
+      organization: organization._id
+    });
+    await restaurant.save();
+
+    organization.restaurants.push(restaurant._id);
+    await organization.save();
+
+    res.status(201).json(restaurant);
+  } catch (error) {
+    console.error('Create location error:', error);
+    res.status(500).json({ error: 'Failed to create location' });
+  }
+});
+
+// Get cross-location statistics
+router.get('/:organizationId/stats', authenticateToken, requireOrganization(), async (req, res) => {
+  try {
+    res.json(await organizationStats(req.organization));
+  } catch (error) {
+    console.error('Get organization stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch organization statistics' });
+  }
+});
+
+// Get the shared catalog
+router.get('/:organizationId/catalog', authenticateToken, requireOrganization(), async (req, res) => {
+  try {
+    const catalogItems = await CatalogItem.find({ organization: req.organization._id }).sort({ category: 1, name: 1 });
+    res.json(catalogItems);
+  } catch (error) {
+    console.error('Get catalog error:', error);
+    res.status(500).json({ error: 'Failed to fetch catalog' });
+  }
+});
+
+// Create catalog item, optionally adding it to locations
+router.post('/:organizationId/catalog', authenticateToken, requireOrganization(), catalogItemValidation, validateRequest, async (req, res) => {
+  try {
+    const { name, description, price, category, imageUrl, allergens, dietaryTags, nutrition, isAvailable = true, locations = [] } = req.body;
+    const { organization } = req;
+
+    const targets = await findLocations(organization, locations);
+    const mismatched = currencyMismatch(organization, targets);
+    if (mismatched.length) {
+      return res.status(400).json(currencyMismatchError(organization, mismatched));
+    }
+
+    const catalogItem = new CatalogItem({
+      organization: organization._id,
+      name,
+      description,
+      price,
+      category,
+      imageUrl,
+      allergens: allergens || [],
+      dietaryTags: dietaryTags || [],
+      nutrition: nutrition || undefined,
+      isAvailable
+    });
+    await catalogItem.save();
+
+    const io = req.app.get('io');
+    const items = await addToLocations(catalogItem, targets, io);
+
+    res.status(201).json({ catalogItem, items });
+  } catch (error) {
+    console.error('Create catalog item error:', error);
+    res.status(500).json({ error: 'Failed to create catalog item' });
+  }
+});
+
+// Update catalog item and every location's linked copy
+router.put('/:organizationId/catalog/:catalogItemId', authenticateToken, requireOrganization(), catalogItemValidation, validateRequest, async (req, res) => {
+  try {
+    const { catalogItemId } = req.params;
+    const { name, description, price, category, imageUrl, allergens, dietaryTags, nutrition, isAvailable } = req.body;
+
+    const catalogItem = await CatalogItem.findOne({ _id: catalogItemId, organization: req.organization._id });
+    if (!catalogItem) {
+      return res.status(404).json({ error: 'Catalog item not found' });
+    }
+
+    const dietaryError = updateDietaryConflict(catalogItem, req.body);
+    if (dietaryError) {
+      return res.status(400).json({ error: dietaryError });
+    }
+
+    Object.assign(catalogItem, { name, description, price, category, imageUrl });
+    // Left out, dietary data stays as it is
+    if (allergens !== undefined) catalogItem.allergens = allergens;
+    if (dietaryTags !== undefined) catalogItem.dietaryTags = dietaryTags;
+    if (nutrition !== undefined) catalogItem.nutrition = nutrition || undefined;
+    if (isAvailable !== undefined) catalogItem.isAvailable = isAvailable;
+    await catalogItem.save();
+
+    const io = req.app.get('io');
+    await syncLinkedItems(catalogItem, io);
+
+    res.json(catalogItem);
+  } catch (error) {
+    console.error('Update catalog item error:', error);
+    res.status(500).json({ error: 'Failed to update catalog item' });
+  }
+});
+
+// Add a catalog item to more locations
+router.post('/:organizationId/catalog/:catalogItemId/locations', authenticateToken, requireOrganization(), locationsValidation, validateRequest, async (req, res) => {
+  try {
+    const { catalogItemId } = req.params;
+    const { organization } = req;
+
+    const catalogItem = await CatalogItem.findOne({ _id: catalogItemId, organization: organization._id });
+    if (!catalogItem) {
+      return res.status(404).json({ error: 'Catalog item not found' });
+    }
+
+    const targets = await findLocations(organization, req.body.locations);
+    const mismatched = currencyMismatch(organization, targets);
+    if (mismatched.length) {
+      return res.status(400).json(currencyMismatchError(organization, mismatched));
+    }
+
+    const io = req.app.get('io');
+    const items = await addToLocations(catalogItem, targets, io);
+
+    res.status(201).json(items);
+  } catch (error) {
+    console.error('Add catalog item to locations error:', error);
+    res.status(500).json({ error: 'Failed to add catalog item to locations' });
+  }
+});
+
+// Delete catalog item; location copies stay as independent items
+router.delete('/:organizationId/catalog/:catalogItemId', authenticateToken, requireOrganization(), async (req, res) => {
+  try {
+    const { catalogItemId } = req.params;
+
+    const catalogItem = await CatalogItem.findOneAndDelete({ _id: catalogItemId, organization: req.organization._id });
+    if (!catalogItem) {
+      return res.status(404).json({ error: 'Catalog item not found' });
+    }
+
+    await unlinkItems(catalogItem);
+
+    res.json({ message: 'Catalog item deleted successfully' });
+  } catch (error) {
+    console.error('Delete catalog item error:', error);
+    res.status(500).json({ error: 'Failed to delete catalog item' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,245 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const { requireRestaurant, requirePlaylist, belongsToRestaurant } = require('../middleware/restaurantScope');
+const { emitRotation } = require('../services/playlists');
+const { createUpload, createAsset, renditionUrls, releaseAssets } = require('../services/media');
+const Playlist = require('../models/Playlist');
+const Display = require('../models/Display');
+const MediaAsset = require('../models/MediaAsset');
+
+const router = express.Router();
+
+const upload = createUpload({ prefix: 'slide' });
+
+// Validation rules
+const slideValidation = [
+  body('slides').optional().isArray(),
+  body('slides.*.type').isIn(Playlist.SLIDE_TYPES),
+  body('slides.*').custom(slide => {
+    if (slide.type === 'menu' && !mongoose.isValidObjectId(slide.menu)) {
+      throw new Error('Menu slides need a menu');
+    }
+    if ((slide.type === 'image' || slide.type === 'video') && !slide.mediaUrl && !mongoose.isValidObjectId(slide.mediaAsset)) {
+      throw new Error('Image and video slides need a mediaAsset or mediaUrl');
+    }
+    if (slide.type === 'promo' && !(slide.promo && slide.promo.title)) {
+      throw new Error('Promo slides need a promo title');
+    }
+    return true;
+  }),
+  body('slides.*.duration').optional({ values: 'null' }).isInt({ min: 1, max: 3600 }).toInt(),
+  body('slides.*.transition').optional().isIn(Playlist.TRANSITIONS)
+];
+
+const playlistValidation = [
+  body('name').notEmpty().trim(),
+  body('description').optional().trim(),
+  ...slideValidation
+];
+
+// Keep only the fields each slide type uses
+const normalizeSlides = (slides = []) => slides.map(slide => ({
+  type: slide.type,
+  menu: slide.type === 'menu' ? slide.menu : undefined,
+  mediaUrl: slide.type === 'image' || slide.type === 'video' ? slide.mediaUrl : undefined,
+  mediaAsset: slide.type === 'image' || slide.type === 'video' ? slide.mediaAsset : undefined,
+  promo: slide.type === 'promo' ? slide.promo : undefined,
+  // null only means "play to the end" for videos; other slides fall back to the default
+  duration: slide.duration === null && slide.type !== 'video' ? undefined : slide.duration,
+  transition: slide.transition
+}));
+
+// Menu slides may only show the restaurant's own menus, and media slides its
+// own assets. Fills in each asset slide's mediaUrl; returns an error message or null.
+const resolveSlideReferences = async (restaurant, slides) => {
+  const menuIds = slides.filter(slide => slide.type === 'menu').map(slide => slide.menu);
+  if (!belongsToRestaurant(restaurant, 'menus', menuIds)) {
+    return 'Menu does not belong to this restaurant';
+  }
+
+  for (const slide of slides.filter(slide => slide.mediaAsset)) {
+    const asset = await MediaAsset.findOne({ _id: slide.mediaAsset, restaurant: restaurant._id });
+    if (!asset) {
+      return 'Media asset not found';
+    }
+    if (asset.mediaType !== slide.type) {
+      return `Media asset is not ${slide.type === 'image' ? 'an image' : 'a video'}`;
+    }
+    slide.mediaUrl = asset.url;
+    slide.mediaRenditions = renditionUrls(asset);
+  }
+  return null;
+};
+
+// Asset IDs used by a list of slides
+const slideAssets = (slides) => slides.map(slide => slide.mediaAsset).filter(Boolean);
+
+// Displays currently playing the playlist
+const displaysPlaying = async (playlistId) =>
+  (await Display.find({ currentPlaylist: playlistId }, '_id')).map(display => display._id);
+
+// Create playlist for a restaurant
+router.post('/restaurants/:restaurantId', authenticateToken, requireRestaurant('content:edit'), playlistValidation, validateRequest, async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const { name, description } = req.body;
+    const { restaurant } = req;
+
+    const slides = normalizeSlides(req.body.slides);
+    const referenceError = await resolveSlideReferences(restaurant, slides);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    const playlist = new Playlist({
+      restaurant: restaurantId,
+      name,
+      description,
+      slides
+    });
+    await playlist.save();
+
+    // Add playlist to restaurant
+    restaurant.playlists.push(playlist._id);
+    await restaurant.save();
+
+    // Emit socket event
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurantId}`).emit('playlist-created', { playlist });
+
+    res.status(201).json(playlist);
+  } catch (error) {
+    console.error('Create playlist error:', error);
+    res.status(500).json({ error: 'Failed to create playlist' });
+  }
+});
+
+// Get all playlists for a restaurant
+router.get('/restaurants/:restaurantId', authenticateToken, requireRestaurant(), async (req, res) => {
+  try {
+    const playlists = await Playlist.find({ _id: { $in: req.restaurant.playlists } }).sort({ name: 1 });
+    res.json(playlists);
+  } catch (error) {
+    console.error('Get playlists error:', error);
+    res.status(500).json({ error: 'Failed to fetch playlists' });
+  }
+});
+
+// Get specific playlist
+router.get('/:playlistId', authenticateToken, requirePlaylist(), async (req, res) => {
+  try {
+    const { playlist } = req;
+
+    await playlist.populate({ path: 'slides.menu', select: 'name' });
+    res.json(playlist);
+  } catch (error) {
+    console.error('Get playlist error:', error);
+    res.status(500).json({ error: 'Failed to fetch playlist' });
+  }
+});
+
+// Update playlist; `slides` replaces the whole rotation in the given order
+router.put('/:playlistId', authenticateToken, requirePlaylist('content:edit'), playlistValidation, validateRequest, async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const { playlist, restaurant } = req;
+    const previousAssets = slideAssets(playlist.slides);
+
+    if (req.body.slides) {
+      const slides = normalizeSlides(req.body.slides);
+      const referenceError = await resolveSlideReferences(restaurant, slides);
+      if (referenceError) {
+        return res.status(400).json({ error: referenceError });
+      }
+      playlist.slides = slides;
+    }
+
+    playlist.name = name;
+    if (description !== undefined) playlist.description = description;
+    await playlist.save();
+
+    // Uploads whose slides were removed are no longer needed
+    await releaseAssets(previousAssets);
+
+    // Emit socket events
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurant._id}`).emit('playlist-updated', { playlist });
+    await emitRotation(io, await displaysPlaying(playlist._id));
+
+    res.json(playlist);
+  } catch (error) {
+    console.error('Update playlist error:', error);
+    res.status(500).json({ error: 'Failed to update playlist' });
+  }
+});
+
+// Upload an image or video and append it to the playlist as a slide
+router.post('/:playlistId/slides/upload', authenticateToken, requirePlaylist('content:edit'), upload.single('media'), [
+  body('duration').optional().isInt({ min: 1, max: 3600 }).toInt(),
+  body('transition').optional().isIn(Playlist.TRANSITIONS)
+], validateRequest, async (req, res) => {
+  try {
+    const { duration, transition } = req.body;
+    const { playlist, restaurant } = req;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    // Uploads made here stay out of the media library and are removed with their slide
+    const asset = await createAsset(req.file, { restaurant, user: req.user, library: false });
+    const type = asset.mediaType;
+    playlist.slides.push({
+      type,
+      mediaUrl: asset.url,
+      mediaAsset: asset._id,
+      mediaRenditions: renditionUrls(asset),
+      // Videos play to the end unless a duration is given
+      duration: duration || (type === 'video' ? null : undefined),
+      transition
+    });
+    await playlist.save();
+
+    // Emit socket events
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurant._id}`).emit('playlist-updated', { playlist });
+    await emitRotation(io, await displaysPlaying(playlist._id));
+
+    res.status(201).json(playlist);
+  } catch (error) {
+    console.error('Upload slide error:', error);
+    res.status(500).json({ error: 'Failed to upload slide' });
+  }
+});
+
+// Delete playlist; displays playing it go back to their menu and media
+router.delete('/:playlistId', authenticateToken, requirePlaylist('content:edit'), async (req, res) => {
+  try {
+    const { playlistId } = req.params;
+    const { restaurant } = req;
+
+    const displayIds = await displaysPlaying(playlistId);
+    await Display.updateMany({ _id: { $in: displayIds } }, { currentPlaylist: null });
+    const playlist = await Playlist.findByIdAndDelete(playlistId);
+    await releaseAssets(slideAssets(playlist.slides));
+
+    // Remove from restaurant
+    restaurant.playlists = restaurant.playlists.filter(id => id.toString() !== playlistId);
+    await restaurant.save();
+
+    // Emit socket events
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurant._id}`).emit('playlist-deleted', { playlistId });
+    await emitRotation(io, displayIds);
+
+    res.json({ message: 'Playlist deleted successfully' });
+  } catch (error) {
+    console.error('Delete playlist error:', error);
+    res.status(500).json({ error: 'Failed to delete playlist' });
+  }
+});
+
+module.exports = router;
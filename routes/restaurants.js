@@ -1,33 +1,107 @@
 const express = require('express');
-const { body } = require('express-validator');
+const multer = require('multer');
+const { body, query } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
+const { requireRestaurant, getRole, hasPermission, membershipQuery } = require('../middleware/restaurantScope');
+const { sendMail, appUrl } = require('../services/mailer');
+const { restaurantStats, organizationStats } = require('../services/stats');
 const Restaurant = require('../models/Restaurant');
+const Organization = require('../models/Organization');
 const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const { isValidCurrency, isValidLocale } = require('../services/money');
+const { emitRotation } = require('../services/playlists');
+const { exportRestaurant, exportCsv, parseImportFile, planImport, applyImport } = require('../services/importExport');
 
 const router = express.Router();
 
 // Validation rules
 const restaurantValidation = [
-  body('name').notEmpty().trim()
+  body('name').notEmpty().trim(),
+  body('timezone').optional().custom(timezone => {
+    if (!Restaurant.isValidTimeZone(timezone)) {
+      throw new Error('Invalid time zone');
+    }
+    return true;
+  }),
+  body('currency').optional().isString().trim().toUpperCase().custom(currency => {
+    if (!isValidCurrency(currency)) {
+      throw new Error('Invalid currency code');
+    }
+    return true;
+  }),
+  body('locale').optional().custom(locale => {
+    if (!isValidLocale(locale)) {
+      throw new Error('Invalid locale');
+    }
+    return true;
+  })
 ];
 
-// Get restaurant by ID
-router.get('/:restaurantId', authenticateToken, async (req, res) => {
+const invitationValidation = [
+  body('email').isEmail().normalizeEmail(),
+  body('role').isIn(['manager', 'staff'])
+];
+
+const memberValidation = [
+  body('role').isIn(['manager', 'staff'])
+];
+
+// Accept a pending invitation for the logged-in user
+router.post('/invitations/accept', authenticateToken, body('token').notEmpty(), validateRequest, async (req, res) => {
   try {
-    const { restaurantId } = req.params;
+    const invitation = await Invitation.findPendingByToken(req.body.token);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invalid or expired invitation' });
+    }
 
-    // Verify restaurant ownership
-    const restaurant = await Restaurant.findById(restaurantId)
-      .populate('owner', 'email')
-      .populate('menus')
-      .populate('items')
-      .populate('displays'); // Removed .populate('schedules')
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({ error: 'This invitation was sent to a different email address' });
+    }
 
-    if (!restaurant || restaurant.owner._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
+    const restaurant = await Restaurant.findById(invitation.restaurant);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    if (!getRole(restaurant, req.user)) {
+      restaurant.members.push({ user: req.user._id, role: invitation.role });
+      await restaurant.save();
     }
 
+    invitation.acceptedAt = new Date();
+    await invitation.save();
+
+    // Make the restaurant active for users who have none yet
+    if (!req.user.restaurant) {
+      await User.findByIdAndUpdate(req.user._id, { restaurant: restaurant._id });
+    }
+
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurant._id}`).emit('member-added', { userId: req.user._id, role: invitation.role });
+
+    res.json({
+      message: 'Invitation accepted',
+      restaurant: { id: restaurant._id, name: restaurant.name },
+      role: getRole(restaurant, req.user)
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+// Get restaurant by ID
+router.get('/:restaurantId', authenticateToken, requireRestaurant(), async (req, res) => {
+  try {
+    const restaurant = await req.restaurant.populate([
+      { path: 'owner', select: 'email' },
+      { path: 'menus' },
+      { path: 'items' },
+      { path: 'displays' } // Removed .populate('schedules')
+    ]);
+
     res.json(restaurant);
   } catch (error) {
     console.error('Get restaurant error:', error);
@@ -56,25 +130,72 @@ router.get('/my/restaurant', authenticateToken, async (req, res) => {
   }
 });
 
-// Update restaurant
-router.put('/:restaurantId', authenticateToken, restaurantValidation, validateRequest, async (req, res) => {
+// Get every restaurant the user owns or belongs to
+router.get('/my/restaurants', authenticateToken, async (req, res) => {
   try {
-    const { restaurantId } = req.params;
-    const { name } = req.body;
+    const restaurants = await Restaurant.find(membershipQuery(req.user))
+      .select('name timezone currency locale organization owner members')
+      .populate('organization', 'name')
+      .sort({ name: 1 });
 
-    // Verify restaurant ownership
-    const restaurant = await Restaurant.findById(restaurantId);
-    if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
+    const activeId = req.user.restaurant ? req.user.restaurant._id.toString() : null;
+    res.json(restaurants.map(restaurant => ({
+      id: restaurant._id,
+      name: restaurant.name,
+      timezone: restaurant.timezone,
+      currency: restaurant.currency,
+      locale: restaurant.locale,
+      organization: restaurant.organization,
+      role: getRole(restaurant, req.user),
+      isActive: restaurant._id.toString() === activeId
+    })));
+  } catch (error) {
+    console.error('Get user restaurants error:', error);
+    res.status(500).json({ error: 'Failed to fetch restaurants' });
+  }
+});
+
+// Switch the user's active restaurant
+router.put('/my/restaurant', authenticateToken, body('restaurantId').isMongoId(), validateRequest, async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findById(req.body.restaurantId);
+    if (!hasPermission(restaurant, req.user)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    await User.findByIdAndUpdate(req.user._id, { restaurant: restaurant._id });
+
+    res.json({
+      message: 'Active restaurant changed',
+      restaurant: { id: restaurant._id, name: restaurant.name, role: getRole(restaurant, req.user) }
+    });
+  } catch (error) {
+    console.error('Switch restaurant error:', error);
+    res.status(500).json({ error: 'Failed to switch restaurant' });
+  }
+});
+
+// Update restaurant; changing the currency does not convert existing prices
+router.put('/:restaurantId', authenticateToken, requireRestaurant('restaurant:update'), restaurantValidation, validateRequest, async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const { name, timezone, currency, locale } = req.body;
+    const { restaurant } = req;
+
     restaurant.name = name;
+    if (timezone !== undefined) restaurant.timezone = timezone;
+    if (currency !== undefined) restaurant.currency = currency;
+    if (locale !== undefined) restaurant.locale = locale;
+    const repriced = restaurant.isModified('currency') || restaurant.isModified('locale');
     await restaurant.save();
 
     // Emit socket event
     const io = req.app.get('io');
     io.to(`restaurant-${restaurantId}`).emit('restaurant-updated', { restaurant });
 
+    // Boards show formatted prices; send them the new formatting
+    if (repriced) await emitRotation(io, restaurant.displays);
+
     res.json(restaurant);
   } catch (error) {
     console.error('Update restaurant error:', error);
@@ -82,23 +203,110 @@ router.put('/:restaurantId', authenticateToken, restaurantValidation, validateRe
   }
 });
 
-// Get restaurant statistics
-router.get('/:restaurantId/stats', authenticateToken, async (req, res) => {
+// Import files are parsed in memory and never stored
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+});
+
+const readImportFile = (req, res, next) => {
+  importUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        error: error.code === 'LIMIT_FILE_SIZE' ? 'File too large' : 'Invalid upload',
+        message: error.message
+      });
+    }
+    next();
+  });
+};
+
+const fileNameOf = (restaurant, extension) => {
+  const slug = restaurant.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'restaurant';
+  return `${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+};
+
+// Export the restaurant's categories, items, menus, displays and schedules as
+// JSON, or its items as CSV, for backup or moving to another environment
+router.get('/:restaurantId/export', authenticateToken, requireRestaurant(), [
+  query('format').optional().isIn(['json', 'csv'])
+], validateRequest, async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    const { restaurant } = req;
+
+    const data = await exportRestaurant(restaurant);
+
+    res.attachment(fileNameOf(restaurant, format));
+    if (format === 'csv') {
+      return res.type('text/csv').send(exportCsv(data));
+    }
+    res.json(data);
+  } catch (error) {
+    console.error('Export restaurant error:', error);
+    res.status(500).json({ error: 'Failed to export restaurant' });
+  }
+});
+
+// Import categories, items and menus from a CSV or JSON file (multipart field
+// `file`) or a JSON body. Nothing is saved when the report has errors;
+// ?dryRun=true only returns the report.
+router.post('/:restaurantId/import', authenticateToken, requireRestaurant('content:edit'), readImportFile, [
+  query('dryRun').optional().isBoolean().toBoolean(),
+  query('format').optional().isIn(['json', 'csv'])
+], validateRequest, async (req, res) => {
   try {
     const { restaurantId } = req.params;
+    const { restaurant } = req;
 
-    // Verify restaurant ownership
-    const restaurant = await Restaurant.findById(restaurantId);
-    if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
+    let data = req.body;
+    let label;
+    if (req.file) {
+      const isCsv = /\.csv$/i.test(req.file.originalname) || req.file.mimetype === 'text/csv';
+      const parsed = parseImportFile(req.file.buffer.toString('utf8'), req.query.format || (isCsv ? 'csv' : 'json'));
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      ({ data, label } = parsed);
+    }
+
+    const { report, changes } = await planImport(restaurant, data, { label });
+    if (report.errors.length) {
+      return res.status(400).json({ error: 'Import has errors', report });
     }
+    if (req.query.dryRun) {
+      return res.json({ dryRun: true, report });
+    }
+
+    await applyImport(restaurant, changes, { changedBy: req.user._id });
+    console.log(`📥 Imported into restaurant ${restaurantId}: ${report.items.created.length} new and ${report.items.updated.length} updated item(s)`);
+
+    // Emit socket events
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurantId}`).emit('restaurant-imported', { restaurantId, report });
+    await emitRotation(io, restaurant.displays);
 
-    const stats = {
-      totalMenus: restaurant.menus.length,
-      totalItems: restaurant.items.length,
-      totalDisplays: restaurant.displays.length,
-      totalSchedules: restaurant.schedules.length
-    };
+    res.json({ message: 'Import completed successfully', report });
+  } catch (error) {
+    console.error('Import restaurant error:', error);
+    res.status(500).json({ error: 'Failed to import restaurant data' });
+  }
+});
+
+// Get restaurant statistics
+router.get('/:restaurantId/stats', authenticateToken, requireRestaurant(), async (req, res) => {
+  try {
+    const { restaurant } = req;
+
+    const stats = await restaurantStats(restaurant);
+
+    // Organization owners also get totals across every location
+    if (restaurant.organization) {
+      const organization = await Organization.findById(restaurant.organization);
+      if (organization && organization.owner.toString() === req.user._id.toString()) {
+        stats.organization = await organizationStats(organization);
+      }
+    }
 
     res.json(stats);
   } catch (error) {
@@ -107,4 +315,154 @@ router.get('/:restaurantId/stats', authenticateToken, async (req, res) => {
   }
 });
 
+// List the restaurant's owner and members
+router.get('/:restaurantId/members', authenticateToken, requireRestaurant(), async (req, res) => {
+  try {
+    const restaurant = await req.restaurant.populate([
+      { path: 'owner', select: 'email' },
+      { path: 'members.user', select: 'email' }
+    ]);
+
+    const members = [{ user: restaurant.owner, role: 'owner', addedAt: restaurant.createdAt }]
+      .concat(restaurant.members.filter(member => member.user).map(member => ({
+        user: member.user,
+        role: member.role,
+        addedAt: member.addedAt
+      })));
+
+    res.json(members);
+  } catch (error) {
+    console.error('Get members error:', error);
+    res.status(500).json({ error: 'Failed to fetch members' });
+  }
+});
+
+// Change a member's role
+router.patch('/:restaurantId/members/:userId', authenticateToken, requireRestaurant('members:manage'), memberValidation, validateRequest, async (req, res) => {
+  try {
+    const { restaurantId, userId } = req.params;
+    const { restaurant } = req;
+
+    const member = restaurant.members.find(m => m.user.toString() === userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    member.role = req.body.role;
+    await restaurant.save();
+
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurantId}`).emit('member-updated', { userId, role: member.role });
+
+    res.json({ user: member.user, role: member.role, addedAt: member.addedAt });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({ error: 'Failed to update member' });
+  }
+});
+
+// Remove a member from the restaurant
+router.delete('/:restaurantId/members/:userId', authenticateToken, requireRestaurant('members:manage'), async (req, res) => {
+  try {
+    const { restaurantId, userId } = req.params;
+    const { restaurant } = req;
+
+    if (!restaurant.members.some(m => m.user.toString() === userId)) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    restaurant.members = restaurant.members.filter(m => m.user.toString() !== userId);
+    await restaurant.save();
+
+    // Clear the removed user's active restaurant if it was this one
+    await User.updateOne({ _id: userId, restaurant: restaurantId }, { restaurant: null });
+
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurantId}`).emit('member-removed', { userId });
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// Invite someone to the restaurant by email
+router.post('/:restaurantId/invitations', authenticateToken, requireRestaurant('members:manage'), invitationValidation, validateRequest, async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    const { restaurant } = req;
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser && getRole(restaurant, existingUser)) {
+      return res.status(400).json({ error: 'User is already a member of this restaurant' });
+    }
+
+    const { invitation, token } = await Invitation.createWithToken({
+      restaurant: restaurant._id,
+      email,
+      role,
+      invitedBy: req.user._id
+    });
+
+    await sendMail({
+      to: email,
+      subject: `You're invited to join ${restaurant.name}`,
+      text: `${req.user.email} invited you to join ${restaurant.name} as ${role}.\n\n` +
+        `Accept the invitation: ${appUrl(`/invitations/accept?token=${token}`)}\n\n` +
+        `This invitation expires on ${invitation.expiresAt.toISOString()}.`
+    });
+
+    res.status(201).json({
+      id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ error: 'Failed to create invitation' });
+  }
+});
+
+// List pending invitations
+router.get('/:restaurantId/invitations', authenticateToken, requireRestaurant('members:manage'), async (req, res) => {
+  try {
+    const invitations = await Invitation.find({
+      restaurant: req.restaurant._id,
+      acceptedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('-tokenHash')
+      .populate('invitedBy', 'email')
+      .sort({ createdAt: -1 });
+
+    res.json(invitations);
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// Cancel a pending invitation
+router.delete('/:restaurantId/invitations/:invitationId', authenticateToken, requireRestaurant('members:manage'), async (req, res) => {
+  try {
+    const { invitationId } = req.params;
+
+    const invitation = await Invitation.findOneAndDelete({
+      _id: invitationId,
+      restaurant: req.restaurant._id,
+      acceptedAt: null
+    });
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json({ message: 'Invitation cancelled successfully' });
+  } catch (error) {
+    console.error('Cancel invitation error:', error);
+    res.status(500).json({ error: 'Failed to cancel invitation' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
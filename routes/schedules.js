@@ -0,0 +1,210 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const { requireRestaurant, requireSchedule, belongsToRestaurant } = require('../middleware/restaurantScope');
+const Schedule = require('../models/Schedule');
+const { DAYS, timeToMinutes, schedulesOverlap } = require('../services/scheduleResolver');
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validation rules
+const scheduleValidation = [
+  body('menu').isMongoId(),
+  body('display').isMongoId(),
+  body('dayOfWeek').if(body('dates').not().isArray({ min: 1 })).isIn(DAYS),
+  body('dates').optional().isArray(),
+  body('dates.*').isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+  body('startDate').optional({ values: 'null' }).isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+  body('endDate').optional({ values: 'null' }).isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+  body('startTime').matches(TIME_PATTERN),
+  body('endTime').matches(TIME_PATTERN),
+  body('priority').optional().isInt({ min: 0 }).toInt(),
+  body('isActive').optional().isBoolean(),
+  body('endDate').custom((endDate, { req }) => {
+    if (endDate && req.body.startDate && endDate < req.body.startDate) {
+      throw new Error('endDate must not be before startDate');
+    }
+    return true;
+  }),
+  body('endTime').custom((endTime, { req }) => {
+    if (timeToMinutes(endTime) <= timeToMinutes(req.body.startTime)) {
+      throw new Error('endTime must be after startTime');
+    }
+    return true;
+  })
+];
+
+// Ensure the menu and display both belong to the restaurant
+const validateReferences = (restaurant, { menu, display }) => {
+  if (!belongsToRestaurant(restaurant, 'menus', menu)) {
+    return 'Menu does not belong to this restaurant';
+  }
+  if (!belongsToRestaurant(restaurant, 'displays', display)) {
+    return 'Display does not belong to this restaurant';
+  }
+  return null;
+};
+
+// Find an existing slot on the same display that overlaps the candidate
+const findOverlap = async (candidate, excludeId) => {
+  const query = { display: candidate.display, isActive: true };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const existing = await Schedule.find(query);
+  return existing.find(schedule => schedulesOverlap(schedule, candidate)) || null;
+};
+
+// Create schedule for a restaurant
+router.post('/restaurants/:restaurantId', authenticateToken, requireRestaurant('content:edit'), scheduleValidation, validateRequest, async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const { menu, display, dayOfWeek, dates, startDate, endDate, startTime, endTime, priority = 0, isActive = true } = req.body;
+    const { restaurant } = req;
+
+    const referenceError = validateReferences(restaurant, { menu, display });
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    const schedule = new Schedule({
+      restaurant: restaurantId,
+      menu,
+      display,
+      dayOfWeek: dates && dates.length ? undefined : dayOfWeek,
+      dates: dates || [],
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      priority,
+      isActive
+    });
+
+    if (schedule.isActive) {
+      const overlap = await findOverlap(schedule);
+      if (overlap) {
+        return res.status(409).json({ error: 'Schedule overlaps an existing slot', conflict: overlap });
+      }
+    }
+
+    await schedule.save();
+
+    // Add schedule to restaurant
+    restaurant.schedules.push(schedule._id);
+    await restaurant.save();
+
+    // Emit socket event
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurantId}`).emit('schedule-created', { schedule });
+
+    res.status(201).json(schedule);
+  } catch (error) {
+    console.error('Create schedule error:', error);
+    res.status(500).json({ error: 'Failed to create schedule' });
+  }
+});
+
+// Get all schedules for a restaurant
+router.get('/restaurants/:restaurantId', authenticateToken, requireRestaurant(), async (req, res) => {
+  try {
+    const { display } = req.query;
+
+    const query = { _id: { $in: req.restaurant.schedules } };
+    if (display) query.display = display;
+
+    const schedules = await Schedule.find(query)
+      .populate('menu', 'name')
+      .populate('display', 'name')
+      .sort({ startTime: 1 });
+    res.json(schedules);
+  } catch (error) {
+    console.error('Get schedules error:', error);
+    res.status(500).json({ error: 'Failed to fetch schedules' });
+  }
+});
+
+// Get specific schedule
+router.get('/:scheduleId', authenticateToken, requireSchedule(), async (req, res) => {
+  try {
+    const { schedule } = req;
+
+    await schedule.populate([{ path: 'menu', select: 'name' }, { path: 'display', select: 'name' }]);
+    res.json(schedule);
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(500).json({ error: 'Failed to fetch schedule' });
+  }
+});
+
+// Update schedule
+router.put('/:scheduleId', authenticateToken, requireSchedule('content:edit'), scheduleValidation, validateRequest, async (req, res) => {
+  try {
+    const { menu, display, dayOfWeek, dates, startDate, endDate, startTime, endTime, priority, isActive } = req.body;
+    const { schedule, restaurant } = req;
+
+    const referenceError = validateReferences(restaurant, { menu, display });
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    Object.assign(schedule, {
+      restaurant: restaurant._id,
+      menu,
+      display,
+      dayOfWeek: dates && dates.length ? undefined : dayOfWeek,
+      dates: dates || [],
+      startDate: startDate || undefined,
+      endDate: endDate || undefined,
+      startTime,
+      endTime
+    });
+    if (priority !== undefined) schedule.priority = priority;
+    if (isActive !== undefined) schedule.isActive = isActive;
+
+    if (schedule.isActive) {
+      const overlap = await findOverlap(schedule, schedule._id);
+      if (overlap) {
+        return res.status(409).json({ error: 'Schedule overlaps an existing slot', conflict: overlap });
+      }
+    }
+
+    await schedule.save();
+
+    // Emit socket event
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurant._id}`).emit('schedule-updated', { schedule });
+
+    res.json(schedule);
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+// Delete schedule
+router.delete('/:scheduleId', authenticateToken, requireSchedule('content:edit'), async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const { restaurant } = req;
+
+    await Schedule.findByIdAndDelete(scheduleId);
+
+    // Remove from restaurant
+    restaurant.schedules = restaurant.schedules.filter(id => id.toString() !== scheduleId);
+    await restaurant.save();
+
+    // Emit socket event
+    const io = req.app.get('io');
+    io.to(`restaurant-${restaurant._id}`).emit('schedule-deleted', { scheduleId });
+
+    res.json({ message: 'Schedule deleted successfully' });
+  } catch (error) {
+    console.error('Delete schedule error:', error);
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+module.exports = router;
@@ -9,8 +9,10 @@ dotenv.config();
 const User = require('./models/User');
 const Restaurant = require('./models/Restaurant');
 const Item = require('./models/Item');
+const Category = require('./models/Category');
 const Menu = require('./models/Menu');
 const Display = require('./models/Display');
+const Organization = require('./models/Organization');
 
 async function seedDatabase() {
   try {
@@ -22,8 +24,10 @@ async function seedDatabase() {
     await User.deleteMany({});
     await Restaurant.deleteMany({});
     await Item.deleteMany({});
+    await Category.deleteMany({});
     await Menu.deleteMany({});
     await Display.deleteMany({});
+    await Organization.deleteMany({});
     console.log('✅ Cleared existing data');
 
     // Create default user first
@@ -38,71 +42,120 @@ async function seedDatabase() {
     // Create default restaurant
     const restaurant = new Restaurant({
       name: 'Demo Restaurant',
+      currency: 'USD',
+      locale: 'en-US',
       owner: user._id
     });
     await restaurant.save();
     console.log('✅ Created default restaurant');
 
+    // Create default organization
+    const organization = new Organization({
+      name: 'Demo Restaurant Group',
+      owner: user._id,
+      restaurants: [restaurant._id]
+    });
+    await organization.save();
+    restaurant.organization = organization._id;
+    await restaurant.save();
+    console.log('✅ Created default organization');
+
     // Update user with restaurant
     user.restaurant = restaurant._id;
     await user.save();
 
+    // Create sample categories, in board order
+    const categories = await Category.insertMany([
+      { restaurant: restaurant._id, name: 'Main Course', key: 'main course', order: 0, icon: '🍔', color: '#d9480f' },
+      { restaurant: restaurant._id, name: 'Appetizer', key: 'appetizer', order: 1, icon: '🥗', color: '#2b8a3e' },
+      { restaurant: restaurant._id, name: 'Sides', key: 'sides', order: 2, icon: '🍟', color: '#f08c00' },
+      { restaurant: restaurant._id, name: 'Beverages', key: 'beverages', order: 3, icon: '🥤', color: '#1971c2' }
+    ]);
+    const categoryId = (name) => categories.find(category => category.name === name)._id;
+    restaurant.categories = categories.map(category => category._id);
+    await restaurant.save();
+    console.log('✅ Created sample categories');
+
     // Create sample items
     const items = [
       {
         name: 'Classic Burger',
+        sku: 'BRG-001',
         description: 'Juicy beef burger with fresh lettuce, tomato, and special sauce',
-        price: 12.99,
-        category: 'Main Course',
+        price: 1299,
+        category: categoryId('Main Course'),
+        allergens: ['gluten', 'eggs', 'sesame'],
+        nutrition: { calories: 780 },
         imageUrl: 'https://images.unsplash.com/photo-1568901346375-23c9450c58cd?w=400',
         isAvailable: true
       },
       {
         name: 'Margherita Pizza',
+        sku: 'PIZ-001',
         description: 'Traditional pizza with tomato sauce, mozzarella, and basil',
-        price: 16.99,
-        category: 'Main Course',
+        price: 1699,
+        category: categoryId('Main Course'),
+        allergens: ['gluten', 'dairy'],
+        dietaryTags: ['vegetarian'],
+        nutrition: { calories: 1050 },
+        // A limited batch of dough each day
+        stock: { count: 20, lowStockThreshold: 5 },
         imageUrl: 'https://images.unsplash.com/photo-1604382354936-07c5d9983bd3?w=400',
         isAvailable: true
       },
       {
         name: 'Caesar Salad',
+        sku: 'SAL-001',
         description: 'Fresh romaine lettuce with Caesar dressing, croutons, and parmesan',
-        price: 8.99,
-        category: 'Appetizer',
+        price: 899,
+        category: categoryId('Appetizer'),
+        allergens: ['gluten', 'dairy', 'eggs', 'fish'],
+        nutrition: { calories: 470 },
         imageUrl: 'https://images.unsplash.com/photo-1546793665-c74683f339c1?w=400',
         isAvailable: true
       },
       {
         name: 'Chocolate Milkshake',
+        sku: 'SHK-001',
         description: 'Rich and creamy chocolate milkshake with whipped cream',
-        price: 5.99,
-        category: 'Beverages',
+        price: 599,
+        category: categoryId('Beverages'),
+        allergens: ['dairy'],
+        dietaryTags: ['vegetarian'],
+        nutrition: { calories: 560 },
         imageUrl: 'https://images.unsplash.com/photo-1572490122747-3968b75cc699?w=400',
         isAvailable: true
       },
       {
         name: 'French Fries',
+        sku: 'FRY-001',
         description: 'Crispy golden fries served with ketchup',
-        price: 4.99,
-        category: 'Sides',
+        price: 499,
+        category: categoryId('Sides'),
+        dietaryTags: ['vegan', 'gluten-free'],
+        nutrition: { calories: 365 },
         imageUrl: 'https://images.unsplash.com/photo-1630384060421-cb20d0e0649d?w=400',
         isAvailable: true
       }
     ];
 
-    const createdItems = await Item.insertMany(items);
+    const createdItems = await Item.insertMany(items.map(item => ({ ...item, restaurant: restaurant._id })));
     console.log('✅ Created sample items');
 
     // Add items to restaurant
     restaurant.items = createdItems.map(item => item._id);
     await restaurant.save();
 
-    // Create sample menu
+    // Create sample menu with one section per category
     const menu = new Menu({
       name: 'Lunch Menu',
       description: 'Our delicious lunch options',
-      items: createdItems.map(item => item._id)
+      sections: categories.map(category => ({
+        category: category._id,
+        items: createdItems
+          .filter(item => item.category.toString() === category._id.toString())
+          .map(item => item._id)
+      }))
     });
     await menu.save();
     console.log('✅ Created sample menu');
@@ -0,0 +1,72 @@
+const Item = require('../models/Item');
+const { pricingOf, formatItem } = require('./money');
+const { emitItemEvent } = require('./playlists');
+const { restaurantsByItem } = require('./priceSchedules');
+
+// Mark an item or variant available or sold out ("86'd"). Sold-out ones may
+// come back on their own at `restoreAt`.
+const setAvailability = (target, isAvailable, restoreAt = null) => {
+  target.isAvailable = isAvailable;
+  target.restoreAt = isAvailable ? null : restoreAt;
+};
+
+// Tell dashboards and every display showing the item that it (or one of its
+// variants) sold out or is back. The updated item rides along so screens can
+// redraw it, e.g. a variant item's "from" price.
+const emitAvailabilityChanged = (io, restaurant, item, variant = null) => {
+  const target = variant || item;
+  return emitItemEvent(io, restaurant, item._id, 'item-availability-changed', {
+    itemId: item._id,
+    variantId: variant ? variant._id : undefined,
+    isAvailable: target.isAvailable,
+    restoreAt: target.restoreAt || null,
+    item: formatItem(item, pricingOf(restaurant))
+  });
+};
+
+// Bring back sold-out items and variants whose restoreAt has passed
+const runRestoreTick = async (io, now = new Date()) => {
+  const items = await Item.find({
+    $or: [
+      { restoreAt: { $lte: now } },
+      { 'variants.restoreAt': { $lte: now } }
+    ]
+  });
+  if (items.length === 0) return;
+
+  const restaurants = await restaurantsByItem(items.map(item => item._id));
+
+  for (const item of items) {
+    // null stands for the item itself
+    const restored = [];
+    if (item.restoreAt && item.restoreAt <= now) {
+      setAvailability(item, true);
+      restored.push(null);
+    }
+    item.variants.forEach(variant => {
+      if (variant.restoreAt && variant.restoreAt <= now) {
+        setAvailability(variant, true);
+        restored.push(variant);
+      }
+    });
+    try {
+      await item.save();
+      console.log(`✅ Item ${item._id} is back${restored.some(Boolean) ? ` (${restored.filter(Boolean).map(variant => variant.name).join(', ')})` : ''}`);
+
+      const restaurant = restaurants.get(item._id.toString());
+      if (!restaurant) continue;
+      for (const variant of restored) {
+        await emitAvailabilityChanged(io, restaurant, item, variant);
+      }
+    } catch (error) {
+      // Retried next tick; the other items still come back on time
+      console.error(`Restore item ${item._id} error:`, error);
+    }
+  }
+};
+
+module.exports = {
+  setAvailability,
+  emitAvailabilityChanged,
+  runRestoreTick
+};
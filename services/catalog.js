@@ -0,0 +1,82 @@
+const Item = require('../models/Item');
+const Restaurant = require('../models/Restaurant');
+const { findOrCreateCategory } = require('./categories');
+const { pricingOf, formatItem } = require('./money');
+const { emitItemUpdated } = require('./playlists');
+
+// Linked items always follow these catalog fields. The catalog's category is
+// a name; each location files the item under its own category of that name.
+const INHERITED_FIELDS = ['name', 'description', 'imageUrl', 'allergens', 'dietaryTags', 'nutrition'];
+// Linked items follow these unless the location has overridden them
+const OVERRIDABLE_FIELDS = ['price', 'isAvailable'];
+
+// Copy catalog values onto a linked item, respecting its overrides
+const applyCatalogItem = (item, catalogItem) => {
+  INHERITED_FIELDS.forEach(field => {
+    item[field] = catalogItem[field];
+  });
+  OVERRIDABLE_FIELDS.forEach(field => {
+    if (!item.overrides || !item.overrides[field]) {
+      item[field] = catalogItem[field];
+    }
+  });
+  return item;
+};
+
+// Push catalog changes to every location's linked copy
+const syncLinkedItems = async (catalogItem, io) => {
+  const items = await Item.find({ catalogItem: catalogItem._id });
+
+  for (const item of items) {
+    const restaurant = await Restaurant.findOne({ items: item._id }, 'currency locale');
+    applyCatalogItem(item, catalogItem);
+    if (restaurant) {
+      item.category = (await findOrCreateCategory(restaurant, catalogItem.category))._id;
+    }
+    if (!item.isModified()) continue;
+
+    item.$locals.priceChange = { reason: 'catalog' };
+    await item.save();
+    if (restaurant) {
+      await emitItemUpdated(io, restaurant, item);
+    }
+  }
+
+  return items;
+};
+
+// Create linked copies of a catalog item in locations that do not have one yet
+const addToLocations = async (catalogItem, restaurants, io) => {
+  const created = [];
+
+  for (const restaurant of restaurants) {
+    const existing = await Item.exists({ catalogItem: catalogItem._id, _id: { $in: restaurant.items } });
+    if (existing) continue;
+
+    const item = applyCatalogItem(new Item({ restaurant: restaurant._id, catalogItem: catalogItem._id }), catalogItem);
+    item.category = (await findOrCreateCategory(restaurant, catalogItem.category))._id;
+    await item.save();
+
+    restaurant.items.push(item._id);
+    await restaurant.save();
+
+    io.to(`restaurant-${restaurant._id}`).emit('item-created', { item: formatItem(item, pricingOf(restaurant)) });
+    created.push(item);
+  }
+
+  return created;
+};
+
+// Turn linked copies back into independent location items
+const unlinkItems = (catalogItem) => Item.updateMany(
+  { catalogItem: catalogItem._id },
+  { $unset: { catalogItem: 1 }, $set: { 'overrides.price': false, 'overrides.isAvailable': false } }
+);
+
+module.exports = {
+  OVERRIDABLE_FIELDS,
+  applyCatalogItem,
+  syncLinkedItems,
+  addToLocations,
+  unlinkItems
+};
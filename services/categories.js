@@ -0,0 +1,40 @@
+const Category = require('../models/Category');
+const Restaurant = require('../models/Restaurant');
+
+// The restaurant's category with this name (compared case- and
+// whitespace-insensitively), created at the end of the order if missing
+const findOrCreateCategory = async (restaurant, name) => {
+  const key = Category.normalizeName(name);
+  const existing = await Category.findOne({ restaurant: restaurant._id, key });
+  if (existing) return existing;
+
+  try {
+    const category = new Category({
+      restaurant: restaurant._id,
+      name,
+      order: await Category.countDocuments({ restaurant: restaurant._id })
+    });
+    await category.save();
+    await Restaurant.updateOne({ _id: restaurant._id }, { $addToSet: { categories: category._id } });
+    return category;
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) return Category.findOne({ restaurant: restaurant._id, key });
+    throw error;
+  }
+};
+
+// Resolve an item's `category` value: one of the restaurant's category IDs,
+// or a name (see findOrCreateCategory). Returns { category } or { error }.
+const resolveCategory = async (restaurant, value) => {
+  if (/^[0-9a-f]{24}$/i.test(String(value))) {
+    const category = await Category.findOne({ _id: value, restaurant: restaurant._id });
+    return category ? { category } : { error: 'Category not found' };
+  }
+  return { category: await findOrCreateCategory(restaurant, value) };
+};
+
+module.exports = {
+  findOrCreateCategory,
+  resolveCategory
+};
@@ -0,0 +1,101 @@
+const Display = require('../models/Display');
+const Item = require('../models/Item');
+const Menu = require('../models/Menu');
+const Playlist = require('../models/Playlist');
+const PriceHistory = require('../models/PriceHistory');
+const PriceSchedule = require('../models/PriceSchedule');
+const Schedule = require('../models/Schedule');
+const StockHistory = require('../models/StockHistory');
+const { releaseAssets } = require('./media');
+const { displaysShowingMenus, displaysShowingItems } = require('./playlists');
+
+// Deleting an item, menu or display cascades to everything that references it. The
+// *DeletionImpact helpers list what would change, for delete responses and
+// their dry runs.
+
+const summarize = (docs) => docs.map(doc => ({ _id: doc._id, name: doc.name }));
+
+const withoutId = (ids, id) => ids.filter(entry => entry.toString() !== id.toString());
+
+// Menus the item is taken off, displays showing it now and the price and
+// stock records deleted with it
+const itemDeletionImpact = async (item) => ({
+  menus: summarize(await Menu.find({ items: item._id }, 'name')),
+  displays: summarize(await Display.find({ _id: { $in: await displaysShowingItems([item._id]) } }, 'name')),
+  priceSchedules: await PriceSchedule.countDocuments({ item: item._id }),
+  priceHistory: await PriceHistory.countDocuments({ item: item._id }),
+  stockHistory: await StockHistory.countDocuments({ item: item._id })
+});
+
+const deleteItem = async (item, restaurant) => {
+  await Item.deleteOne({ _id: item._id });
+  await releaseAssets(item.imageAsset);
+  await PriceSchedule.deleteMany({ item: item._id });
+  await PriceHistory.deleteMany({ item: item._id });
+  await StockHistory.deleteMany({ item: item._id });
+
+  // Take it off every menu. Separately for sections, which menus not yet
+  // run through migrate-categories don't have
+  await Menu.updateMany({ items: item._id }, { $pull: { items: item._id } });
+  await Menu.updateMany({ sections: { $exists: true }, 'sections.items': item._id }, { $pull: { 'sections.$[].items': item._id } });
+
+  restaurant.items = withoutId(restaurant.items, item._id);
+  await restaurant.save();
+};
+
+// Displays left without a current menu, schedules deleted with the menu and
+// playlists losing its slides
+const menuDeletionImpact = async (menu) => ({
+  displays: summarize(await Display.find({ currentMenu: menu._id }, 'name')),
+  schedules: await Schedule.find({ menu: menu._id }, 'display dayOfWeek dates startTime endTime'),
+  playlists: summarize(await Playlist.find({ 'slides.menu': menu._id }, 'name'))
+});
+
+// Returns the IDs of the displays whose rotation changed and of the schedules deleted
+const deleteMenu = async (menu, restaurant) => {
+  // Found while the menu is still on them
+  const displayIds = await displaysShowingMenus([menu._id]);
+  const scheduleIds = await Schedule.distinct('_id', { menu: menu._id });
+
+  await Schedule.deleteMany({ _id: { $in: scheduleIds } });
+  await Display.updateMany({ currentMenu: menu._id }, { currentMenu: null });
+  // The scheduler starts over on displays whose active slot is gone
+  await Display.updateMany({ activeSchedule: { $in: scheduleIds } }, { activeSchedule: null });
+  await Playlist.updateMany({ 'slides.menu': menu._id }, { $pull: { slides: { menu: menu._id } } });
+  await Menu.deleteOne({ _id: menu._id });
+
+  restaurant.menus = withoutId(restaurant.menus, menu._id);
+  restaurant.schedules = restaurant.schedules.filter(id => !scheduleIds.some(scheduleId => scheduleId.equals(id)));
+  await restaurant.save();
+
+  return { displayIds, scheduleIds };
+};
+
+// Schedules deleted with the display
+const displayDeletionImpact = async (display) => ({
+  schedules: await Schedule.find({ display: display._id }, 'menu dayOfWeek dates startTime endTime')
+});
+
+// Returns the IDs of the schedules deleted
+const deleteDisplay = async (display, restaurant) => {
+  const scheduleIds = await Schedule.distinct('_id', { display: display._id });
+
+  await Schedule.deleteMany({ _id: { $in: scheduleIds } });
+  await Display.deleteOne({ _id: display._id });
+  await releaseAssets(display.mediaAsset);
+
+  restaurant.displays = withoutId(restaurant.displays, display._id);
+  restaurant.schedules = restaurant.schedules.filter(id => !scheduleIds.some(scheduleId => scheduleId.equals(id)));
+  await restaurant.save();
+
+  return { scheduleIds };
+};
+
+module.exports = {
+  itemDeletionImpact,
+  deleteItem,
+  menuDeletionImpact,
+  deleteMenu,
+  displayDeletionImpact,
+  deleteDisplay
+};
@@ -0,0 +1,178 @@
+const { body, query } = require('express-validator');
+
+// Allergens and dietary tags an item can carry. Items store the keys; the
+// labels, codes and icons go to boards in the menu layout legend.
+const ALLERGENS = {
+  gluten: { label: 'Gluten', code: 'G', icon: '🌾' },
+  crustaceans: { label: 'Crustaceans', code: 'CR', icon: '🦐' },
+  eggs: { label: 'Eggs', code: 'E', icon: '🥚' },
+  fish: { label: 'Fish', code: 'F', icon: '🐟' },
+  peanuts: { label: 'Peanuts', code: 'P', icon: '🥜' },
+  'tree-nuts': { label: 'Tree nuts', code: 'N', icon: '🌰' },
+  soy: { label: 'Soy', code: 'S', icon: '🫘' },
+  dairy: { label: 'Milk', code: 'D', icon: '🥛' },
+  celery: { label: 'Celery', code: 'C', icon: '🥬' },
+  mustard: { label: 'Mustard', code: 'M', icon: '🌭' },
+  sesame: { label: 'Sesame', code: 'SE', icon: '🫓' },
+  sulphites: { label: 'Sulphites', code: 'SU', icon: '🍷' },
+  lupin: { label: 'Lupin', code: 'L', icon: '🌼' },
+  molluscs: { label: 'Molluscs', code: 'MO', icon: '🦪' }
+};
+
+const DIETARY_TAGS = {
+  vegan: { label: 'Vegan', code: 'VG', icon: '🌱' },
+  vegetarian: { label: 'Vegetarian', code: 'V', icon: '🥕' },
+  'gluten-free': { label: 'Gluten free', code: 'GF', icon: '🚫🌾' },
+  'dairy-free': { label: 'Dairy free', code: 'DF', icon: '🚫🥛' },
+  halal: { label: 'Halal', code: 'H', icon: '☪️' },
+  kosher: { label: 'Kosher', code: 'K', icon: '✡️' },
+  spicy: { label: 'Spicy', code: 'HOT', icon: '🌶️' }
+};
+
+// Tags an item can't carry together with these allergens
+const TAG_CONFLICTS = {
+  vegan: ['dairy', 'eggs', 'fish', 'crustaceans', 'molluscs'],
+  vegetarian: ['fish', 'crustaceans', 'molluscs'],
+  'gluten-free': ['gluten'],
+  'dairy-free': ['dairy']
+};
+
+// Shorthands accepted by the filters, e.g. excludeAllergens=nuts
+const ALLERGEN_GROUPS = {
+  nuts: ['peanuts', 'tree-nuts'],
+  shellfish: ['crustaceans', 'molluscs']
+};
+
+// Query values may repeat (?a=x&a=y) or be comma-separated (?a=x,y)
+const toList = (value) => [].concat(value).flatMap(entry => String(entry).split(','))
+  .map(entry => entry.trim().toLowerCase())
+  .filter(Boolean);
+
+const expandAllergens = (keys) => [...new Set(keys.flatMap(key => ALLERGEN_GROUPS[key] || [key]))];
+
+const allIn = (allowed, label) => (list) => {
+  const unknown = list.filter(key => !allowed.includes(key));
+  if (unknown.length) {
+    throw new Error(`Unknown ${label}: ${unknown.join(', ')}`);
+  }
+  return true;
+};
+
+// The first tag that can't go with the allergens, as an error message; null when they fit
+const dietaryConflict = (allergens, tags) => {
+  for (const tag of tags) {
+    const conflicts = (TAG_CONFLICTS[tag] || []).filter(allergen => allergens.includes(allergen));
+    if (conflicts.length) return `An item containing ${conflicts.join(', ')} can't be ${tag}`;
+  }
+  return null;
+};
+
+// dietaryConflict for an update: fields the body leaves out keep the
+// document's stored allergens or tags, so check the combination it will save
+const updateDietaryConflict = (doc, { allergens, dietaryTags }) => dietaryConflict(
+  allergens !== undefined ? allergens : doc.allergens,
+  dietaryTags !== undefined ? dietaryTags : doc.dietaryTags
+);
+
+const NUTRIENTS = ['fat', 'saturatedFat', 'carbohydrates', 'sugars', 'protein', 'sodium'];
+
+// Body rules for allergens, dietary tags and nutrition on items and catalog items
+const dietaryValidation = [
+  body('allergens').optional().isArray(),
+  body('allergens.*').isIn(Object.keys(ALLERGENS)).withMessage(`Allergens must be one of: ${Object.keys(ALLERGENS).join(', ')}`),
+  body('dietaryTags').optional().isArray(),
+  body('dietaryTags.*').isIn(Object.keys(DIETARY_TAGS)).withMessage(`Dietary tags must be one of: ${Object.keys(DIETARY_TAGS).join(', ')}`),
+  body('dietaryTags').optional().custom((tags, { req }) => {
+    const conflict = dietaryConflict(Array.isArray(req.body.allergens) ? req.body.allergens : [], tags);
+    if (conflict) {
+      throw new Error(conflict);
+    }
+    return true;
+  }),
+  body('nutrition').optional({ values: 'null' }).isObject(),
+  body('nutrition.calories').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+  body('nutrition.servingSize').optional({ values: 'null' }).isString().trim().isLength({ max: 50 }),
+  ...NUTRIENTS.map(nutrient => body(`nutrition.${nutrient}`).optional({ values: 'null' }).isFloat({ min: 0 }).toFloat()),
+  body('variants.*.calories').optional({ values: 'null' }).isInt({ min: 0 }).toInt()
+];
+
+// Filters for item lists and menu layouts:
+// - excludeAllergens: hide items containing any of these (allergen keys or groups)
+// - dietary: only items carrying every one of these tags
+// - maxCalories: only items with known calories up to this
+const itemFilterValidation = [
+  query('excludeAllergens').optional().customSanitizer(toList)
+    .custom(allIn([...Object.keys(ALLERGENS), ...Object.keys(ALLERGEN_GROUPS)], 'allergen')),
+  query('dietary').optional().customSanitizer(toList).custom(allIn(Object.keys(DIETARY_TAGS), 'dietary tag')),
+  query('maxCalories').optional().isInt({ min: 0 }).toInt()
+];
+
+// Filters from a validated query; null when none are set
+const itemFiltersOf = ({ excludeAllergens, dietary, maxCalories }) => {
+  if (!excludeAllergens && !dietary && maxCalories === undefined) return null;
+  return {
+    excludeAllergens: expandAllergens(excludeAllergens || []),
+    dietary: dietary || [],
+    maxCalories
+  };
+};
+
+// MongoDB conditions for the filters
+const itemFilterQuery = (filters) => {
+  const conditions = {};
+  if (!filters) return conditions;
+
+  if (filters.excludeAllergens.length) conditions.allergens = { $nin: filters.excludeAllergens };
+  if (filters.dietary.length) conditions.dietaryTags = { $all: filters.dietary };
+  if (filters.maxCalories !== undefined) conditions['nutrition.calories'] = { $lte: filters.maxCalories };
+  return conditions;
+};
+
+// Whether an item passes the filters (the same rules as itemFilterQuery)
+const matchesItemFilters = (item, filters) => {
+  if (!filters) return true;
+
+  const allergens = item.allergens || [];
+  const tags = item.dietaryTags || [];
+  const calories = item.nutrition ? item.nutrition.calories : undefined;
+
+  return !allergens.some(key => filters.excludeAllergens.includes(key)) &&
+    filters.dietary.every(tag => tags.includes(tag)) &&
+    (filters.maxCalories === undefined || (typeof calories === 'number' && calories <= filters.maxCalories));
+};
+
+const legendEntries = (definitions, keys) =>
+  Object.keys(definitions).filter(key => keys.has(key)).map(key => ({ key, ...definitions[key] }));
+
+// Legend for the allergens and tags used by the items, in a fixed order;
+// boards draw their icons from it
+const buildLegend = (items) => {
+  const allergens = new Set(items.flatMap(item => item.allergens || []));
+  const tags = new Set(items.flatMap(item => item.dietaryTags || []));
+  return {
+    allergens: legendEntries(ALLERGENS, allergens),
+    dietary: legendEntries(DIETARY_TAGS, tags)
+  };
+};
+
+// Every allergen and tag, for forms and full legends
+const fullLegend = () => ({
+  allergens: legendEntries(ALLERGENS, new Set(Object.keys(ALLERGENS))),
+  dietary: legendEntries(DIETARY_TAGS, new Set(Object.keys(DIETARY_TAGS))),
+  allergenGroups: ALLERGEN_GROUPS
+});
+
+module.exports = {
+  ALLERGENS,
+  DIETARY_TAGS,
+  ALLERGEN_GROUPS,
+  dietaryConflict,
+  updateDietaryConflict,
+  dietaryValidation,
+  itemFilterValidation,
+  itemFiltersOf,
+  itemFilterQuery,
+  matchesItemFilters,
+  buildLegend,
+  fullLegend
+};
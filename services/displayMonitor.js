@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Display = require('../models/Display');
+const Restaurant = require('../models/Restaurant');
+
+const HEARTBEAT_TIMEOUT = (parseInt(process.env.DISPLAY_HEARTBEAT_TIMEOUT_SECONDS, 10) || 90) * 1000;
+const SWEEP_INTERVAL = 30 * 1000;
+
+const RESOLUTION_PATTERN = /^\d{2,5}x\d{2,5}$/;
+
+// Emit a status change to the dashboard room of the display's restaurant
+const emitStatus = async (io, display, event) => {
+  const restaurant = await Restaurant.findOne({ displays: display._id }, '_id');
+  if (!restaurant) return;
+
+  io.to(`restaurant-${restaurant._id}`).emit(event, {
+    displayId: display._id,
+    status: display.status,
+    lastSeenAt: display.lastSeenAt,
+    deviceInfo: display.deviceInfo
+  });
+};
+
+// Record a heartbeat from a screen, keeping only well-formed fields it reports
+const recordHeartbeat = async (io, displayId, data = {}) => {
+  const update = { status: 'online', lastSeenAt: new Date() };
+
+  if (typeof data.appVersion === 'string') {
+    update['deviceInfo.appVersion'] = data.appVersion.slice(0, 50);
+  }
+  if (typeof data.resolution === 'string' && RESOLUTION_PATTERN.test(data.resolution)) {
+    update['deviceInfo.resolution'] = data.resolution;
+  }
+  if (data.menuId === null || mongoose.isValidObjectId(data.menuId)) {
+    update['deviceInfo.renderingMenu'] = data.menuId;
+  }
+
+  const previous = await Display.findByIdAndUpdate(displayId, { $set: update });
+  if (!previous) return null;
+
+  const display = await Display.findById(displayId);
+  if (previous.status !== 'online') {
+    console.log(`🟢 Display ${displayId} is online`);
+    await emitStatus(io, display, 'display-online');
+  }
+  return display;
+};
+
+// Mark displays offline once their heartbeats stop
+const sweepOfflineDisplays = async (io, now = new Date()) => {
+  const cutoff = new Date(now.getTime() - HEARTBEAT_TIMEOUT);
+  const stale = await Display.find({ status: 'online', lastSeenAt: { $lt: cutoff } }, '_id');
+
+  for (const { _id } of stale) {
+    // Re-check in the update so a heartbeat that just arrived wins
+    const display = await Display.findOneAndUpdate(
+      { _id, status: 'online', lastSeenAt: { $lt: cutoff } },
+      { $set: { status: 'offline' } },
+      { new: true }
+    );
+    if (!display) continue;
+
+    console.log(`🔴 Display ${display._id} is offline`);
+    await emitStatus(io, display, 'display-offline');
+  }
+};
+
+// Start the background sweep for displays whose heartbeats timed out
+const startDisplayMonitor = (io) => {
+  let running = false;
+
+  const interval = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sweepOfflineDisplays(io);
+    } catch (error) {
+      console.error('Display monitor error:', error);
+    } finally {
+      running = false;
+    }
+  }, SWEEP_INTERVAL);
+
+  console.log('💓 Display monitor started');
+
+  return () => clearInterval(interval);
+};
+
+module.exports = {
+  recordHeartbeat,
+  sweepOfflineDisplays,
+  startDisplayMonitor
+};
@@ -0,0 +1,100 @@
+const fs = require('fs');
+
+// Identifies uploads by their leading bytes rather than the client-supplied
+// MIME type or file name. Only the formats below are accepted; anything else
+// (HTML, SVG, PDF, executables...) is rejected before it reaches storage.
+
+const SIGNATURE_BYTES = 64;
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (buffer, start, end) => (buffer.length >= end ? buffer.toString('ascii', start, end) : '');
+
+// ISO base media (MP4/MOV): an `ftyp` box whose major brand names the format.
+// HEIC/AVIF images share the container and are left out on purpose.
+const ftypBrand = (buffer) => (ascii(buffer, 4, 8) === 'ftyp' ? ascii(buffer, 8, 12) : null);
+
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'M4VH', 'M4VP', 'mmp4', 'dash', 'MSNV'];
+
+const FILE_TYPES = [
+  {
+    mimeType: 'image/jpeg',
+    extension: 'jpg',
+    mediaType: 'image',
+    matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff])
+  },
+  {
+    mimeType: 'image/png',
+    extension: 'png',
+    mediaType: 'image',
+    matches: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+  },
+  {
+    mimeType: 'image/gif',
+    extension: 'gif',
+    mediaType: 'image',
+    matches: (buffer) => ['GIF87a', 'GIF89a'].includes(ascii(buffer, 0, 6))
+  },
+  {
+    mimeType: 'image/webp',
+    extension: 'webp',
+    mediaType: 'image',
+    matches: (buffer) => ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP'
+  },
+  {
+    mimeType: 'video/quicktime',
+    extension: 'mov',
+    mediaType: 'video',
+    matches: (buffer) => ftypBrand(buffer) === 'qt  '
+  },
+  {
+    mimeType: 'video/mp4',
+    extension: 'mp4',
+    mediaType: 'video',
+    matches: (buffer) => MP4_BRANDS.includes(ftypBrand(buffer))
+  },
+  {
+    mimeType: 'video/webm',
+    extension: 'webm',
+    mediaType: 'video',
+    // EBML header declaring the "webm" doc type
+    matches: (buffer) => startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3]) && buffer.includes('webm', 4, 'ascii')
+  }
+];
+
+// Allowed type of a file's leading bytes: { mimeType, extension, mediaType }, or null
+const detectFileType = (buffer) => {
+  const type = FILE_TYPES.find(candidate => candidate.matches(buffer));
+  if (!type) return null;
+  const { mimeType, extension, mediaType } = type;
+  return { mimeType, extension, mediaType };
+};
+
+const detectFileTypeOfPath = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SIGNATURE_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SIGNATURE_BYTES, 0);
+    return detectFileType(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+};
+
+// Allowed type for a stored file name, by extension (for serving)
+const fileTypeOfExtension = (extension) => {
+  const normalized = extension.replace(/^\./, '').toLowerCase();
+  const type = FILE_TYPES.find(candidate =>
+    candidate.extension === normalized || (normalized === 'jpeg' && candidate.extension === 'jpg'));
+  if (!type) return null;
+  const { mimeType, mediaType } = type;
+  return { mimeType, extension: type.extension, mediaType };
+};
+
+module.exports = {
+  FILE_TYPES,
+  detectFileType,
+  detectFileTypeOfPath,
+  fileTypeOfExtension
+};
@@ -0,0 +1,86 @@
+const path = require('path');
+const sharp = require('sharp');
+
+// Sizes generated for every uploaded image. Boxes are landscape and are
+// turned for portrait images, so a portrait screen gets the same detail.
+const RENDITIONS = [
+  { name: 'thumbnail', width: 320, height: 320 },
+  { name: 'hd', width: 1280, height: 720 },
+  { name: 'fullHd', width: 1920, height: 1080 },
+  { name: 'uhd', width: 3840, height: 2160 }
+];
+
+// Originals in these formats are rewritten upright and without metadata
+const REWRITABLE_FORMATS = ['jpeg', 'png', 'webp'];
+
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+// Encode a pipeline as JPEG, or WebP when transparency has to survive
+const encode = (pipeline, hasAlpha) => (hasAlpha
+  ? pipeline.webp({ quality: 82 })
+  : pipeline.jpeg({ quality: 82, mozjpeg: true }));
+
+// Fix EXIF orientation, strip metadata and render the renditions of the image
+// in `input` (stored as `filename`). Returns the upright original's { width,
+// height, size, mimeType, data } (data is null when the original is kept as-is)
+// and a map of rendition name to { filename, width, height, size, mimeType, data }.
+const processImage = async (input, filename) => {
+  const metadata = await sharp(input).metadata();
+
+  // Orientations 5-8 swap width and height once applied
+  const swapped = metadata.orientation >= 5;
+  const width = swapped ? metadata.height : metadata.width;
+  const height = swapped ? metadata.width : metadata.height;
+  const animated = (metadata.pages || 1) > 1;
+
+  const result = {
+    width,
+    height,
+    size: input.length,
+    mimeType: null,
+    data: null,
+    renditions: {}
+  };
+
+  // sharp drops metadata unless asked to keep it; rotate() applies the EXIF orientation
+  if (!animated && REWRITABLE_FORMATS.includes(metadata.format)) {
+    const upright = await sharp(input).rotate().toFormat(metadata.format).toBuffer();
+    result.data = upright;
+    result.size = upright.length;
+    result.mimeType = MIME_TYPES[metadata.format];
+  }
+
+  const base = path.basename(filename, path.extname(filename));
+  const portrait = height > width;
+
+  for (const rendition of RENDITIONS) {
+    const boxWidth = portrait ? rendition.height : rendition.width;
+    const boxHeight = portrait ? rendition.width : rendition.height;
+
+    // Screens play the original when it already fits; animations keep only a thumbnail
+    const isThumbnail = rendition.name === 'thumbnail';
+    if (!isThumbnail && (animated || (width <= boxWidth && height <= boxHeight))) continue;
+
+    const pipeline = sharp(input)
+      .rotate()
+      .resize(boxWidth, boxHeight, { fit: 'inside', withoutEnlargement: true });
+    const { data, info } = await encode(pipeline, metadata.hasAlpha).toBuffer({ resolveWithObject: true });
+
+    result.renditions[rendition.name] = {
+      filename: `${base}-${rendition.name}.${info.format === 'webp' ? 'webp' : 'jpg'}`,
+      width: info.width,
+      height: info.height,
+      size: info.size,
+      mimeType: MIME_TYPES[info.format],
+      data
+    };
+  }
+
+  return result;
+};
+
+module.exports = { RENDITIONS, processImage };
@@ -0,0 +1,503 @@
+const Category = require('../models/Category');
+const Display = require('../models/Display');
+const Item = require('../models/Item');
+const Menu = require('../models/Menu');
+const Restaurant = require('../models/Restaurant');
+const Schedule = require('../models/Schedule');
+const { parseCsv, toCsv } = require('./csv');
+const { dietaryConflict } = require('./dietary');
+const { releaseAssets } = require('./media');
+const { pricingOf } = require('./money');
+
+// Version of the file format; files of other versions are refused
+const FORMAT_VERSION = 1;
+const MAX_IMPORT_ITEMS = 2000;
+const MAX_SKU_LENGTH = 64;
+
+// Item fields copied as they are between files and items
+const ITEM_FIELDS = ['name', 'description', 'price', 'allergens', 'dietaryTags', 'nutrition', 'isAvailable'];
+
+// CSV files hold one item per row. Lists are separated by ";", variants are
+// "name:price" and `menus` lists the menus the item is on.
+const CSV_COLUMNS = ['sku', 'name', 'description', 'category', 'price', 'variants', 'allergens', 'dietaryTags', 'calories', 'imageUrl', 'isAvailable', 'menus'];
+
+const { normalizeName } = Category;
+
+const nameOf = (names, id) => (id ? names.get(id.toString()) || null : null);
+
+// The restaurant's categories, items, menus, displays and schedules as an
+// import file. Items are referred to by SKU, or by ID when they have none.
+const exportRestaurant = async (restaurant) => {
+  const categories = await Category.find({ restaurant: restaurant._id }).sort({ order: 1, name: 1 });
+  const items = await Item.find({ _id: { $in: restaurant.items } }).sort({ createdAt: 1 });
+  const menus = await Menu.find({ _id: { $in: restaurant.menus } }).sort({ createdAt: 1 });
+  const displays = await Display.find({ _id: { $in: restaurant.displays } }).sort({ createdAt: 1 });
+  const schedules = await Schedule.find({ _id: { $in: restaurant.schedules } }).sort({ createdAt: 1 });
+
+  const categoryNames = new Map(categories.map(category => [category._id.toString(), category.name]));
+  const skus = new Map(items.map(item => [item._id.toString(), item.sku || item._id.toString()]));
+  const menuNames = new Map(menus.map(menu => [menu._id.toString(), menu.name]));
+  const displayNames = new Map(displays.map(display => [display._id.toString(), display.name]));
+  const skusOf = (ids) => ids.map(id => skus.get(id.toString())).filter(Boolean);
+
+  return {
+    version: FORMAT_VERSION,
+    exportedAt: new Date(),
+    restaurant: {
+      name: restaurant.name,
+      timezone: restaurant.timezone,
+      ...pricingOf(restaurant)
+    },
+    categories: categories.map(({ name, description, icon, color }) => ({ name, description, icon, color })),
+    items: items.map(item => ({
+      sku: skus.get(item._id.toString()),
+      name: item.name,
+      description: item.description,
+      category: nameOf(categoryNames, item.category),
+      price: item.price,
+      variants: item.variants.map(({ name, price, calories, isAvailable }) => ({ name, price, calories, isAvailable })),
+      modifierGroups: item.modifierGroups.map(({ name, minSelections, maxSelections, options }) => ({
+        name,
+        minSelections,
+        maxSelections,
+        options: options.map(option => ({ name: option.name, price: option.price, isAvailable: option.isAvailable }))
+      })),
+      allergens: [...item.allergens],
+      dietaryTags: [...item.dietaryTags],
+      nutrition: item.nutrition ? item.nutrition.toObject() : null,
+      imageUrl: item.imageUrl || null,
+      isAvailable: item.isAvailable
+    })),
+    menus: menus.map(menu => ({
+      name: menu.name,
+      description: menu.description,
+      sections: menu.sections.map(section => ({
+        name: section.name || null,
+        category: nameOf(categoryNames, section.category),
+        items: skusOf(section.items)
+      }))
+    })),
+    displays: displays.map(display => ({
+      name: display.name,
+      currentMenu: nameOf(menuNames, display.currentMenu),
+      soldOutMode: display.soldOutMode
+    })),
+    schedules: schedules.map(schedule => ({
+      display: nameOf(displayNames, schedule.display),
+      menu: nameOf(menuNames, schedule.menu),
+      dayOfWeek: schedule.dayOfWeek,
+      dates: schedule.dates,
+      startDate: schedule.startDate,
+      endDate: schedule.endDate,
+      startTime: schedule.startTime,
+      endTime: schedule.endTime,
+      priority: schedule.priority,
+      isActive: schedule.isActive
+    }))
+  };
+};
+
+// The items of an export as CSV rows; menus become each item's `menus` cell
+const exportCsv = (data) => {
+  const menusOf = new Map();
+  data.menus.forEach(menu => menu.sections.forEach(section => section.items.forEach(sku => {
+    if (!menusOf.has(sku)) menusOf.set(sku, []);
+    if (!menusOf.get(sku).includes(menu.name)) menusOf.get(sku).push(menu.name);
+  })));
+
+  const rows = data.items.map(item => [
+    item.sku,
+    item.name,
+    item.description,
+    item.category,
+    item.price,
+    item.variants.map(variant => `${variant.name}:${variant.price}`).join(';'),
+    item.allergens.join(';'),
+    item.dietaryTags.join(';'),
+    item.nutrition ? item.nutrition.calories : null,
+    item.imageUrl,
+    item.isAvailable,
+    (menusOf.get(item.sku) || []).join(';')
+  ]);
+  return toCsv([CSV_COLUMNS, ...rows]);
+};
+
+const listOf = (cell) => cell.split(';').map(entry => entry.trim()).filter(Boolean);
+
+// Read a CSV file into the import format; returns { data, label } or { error }.
+// Columns the file has replace the items' values (an empty cell clears
+// them); columns it leaves out are kept. Each menu named in `menus` gets the
+// items that name it, grouped by category.
+const csvToImport = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { error: 'CSV file is empty' };
+
+  const columns = header.map(column => column.trim());
+  const unknown = columns.filter(column => !CSV_COLUMNS.includes(column));
+  if (unknown.length) return { error: `Unknown CSV columns: ${unknown.join(', ')}` };
+  if (!columns.includes('sku')) return { error: 'CSV files need a sku column' };
+
+  const menus = new Map();
+  const items = rows.map(row => {
+    const cells = new Map(columns.map((column, index) => [column, (row[index] || '').trim()]));
+    const has = (column) => cells.has(column);
+    const filled = (column) => cells.has(column) && cells.get(column) !== '';
+    const item = {};
+
+    ['sku', 'name', 'description', 'category', 'imageUrl'].forEach(column => {
+      if (has(column)) item[column] = cells.get(column);
+    });
+    if (filled('price')) item.price = Number(cells.get('price'));
+    if (filled('isAvailable')) item.isAvailable = cells.get('isAvailable');
+    if (has('variants')) {
+      item.variants = listOf(cells.get('variants')).map(entry => {
+        const colon = entry.lastIndexOf(':');
+        return colon === -1 ? { name: entry } : { name: entry.slice(0, colon).trim(), price: Number(entry.slice(colon + 1)) };
+      });
+    }
+    if (has('allergens')) item.allergens = listOf(cells.get('allergens'));
+    if (has('dietaryTags')) item.dietaryTags = listOf(cells.get('dietaryTags'));
+    if (has('calories')) item.calories = filled('calories') ? Number(cells.get('calories')) : null;
+
+    if (has('menus')) {
+      listOf(cells.get('menus')).forEach(name => {
+        const key = normalizeName(name);
+        if (!menus.has(key)) menus.set(key, { name, items: [] });
+        menus.get(key).items.push(item.sku);
+      });
+    }
+    return item;
+  });
+
+  // Row 1 is the header
+  return { data: { items, menus: [...menus.values()] }, label: (index) => `row ${index + 2}` };
+};
+
+// Read an uploaded import file; returns { data, label } or { error }
+const parseImportFile = (text, format) => {
+  if (format === 'csv') return csvToImport(text);
+  try {
+    return { data: JSON.parse(text) };
+  } catch (error) {
+    return { error: 'File is not valid JSON' };
+  }
+};
+
+// Keep the IDs of subdocuments an entry names again (compared like category
+// names), so price schedules and other references to them survive
+const matchByName = (existing, entries, merge) => entries.map(entry => {
+  const match = entry && entry.name && existing.find(doc => normalizeName(doc.name) === normalizeName(entry.name));
+  return match ? merge(match, entry) : entry;
+});
+
+const snapshot = (doc) => JSON.stringify(doc.toObject());
+
+const sectionsKey = (sections) => JSON.stringify(sections.map(section => ({
+  name: section.name || null,
+  category: section.category ? section.category.toString() : null,
+  items: section.items.map(String)
+})));
+
+const validationErrors = async (doc) => {
+  try {
+    await doc.validate();
+    return [];
+  } catch (error) {
+    if (!error.errors) throw error;
+    return Object.values(error.errors).map(({ path, message }) => ({ path, message }));
+  }
+};
+
+// Check an import file against the restaurant and prepare its changes
+// without saving anything. Categories are matched by name, items by SKU
+// (or the ID an export gave an item without one) and menus by name; what
+// isn't in the restaurant yet is created. Returns { report, changes };
+// apply the changes only when report.errors is empty.
+const planImport = async (restaurant, data, { label = (index) => `items[${index}]` } = {}) => {
+  const errors = [];
+  const warnings = [];
+  const fail = (path, message) => errors.push({ path, message });
+  const changes = { categories: [], items: [], menus: [], releasedAssets: [] };
+  let unchangedItems = 0;
+
+  const report = () => ({
+    categories: {
+      created: changes.categories.filter(category => category.isNew).map(category => category.name),
+      updated: changes.categories.filter(category => !category.isNew).map(category => category.name)
+    },
+    items: {
+      created: changes.items.filter(item => item.isNew).map(item => item.sku),
+      updated: changes.items.filter(item => !item.isNew).map(item => item.sku || item._id.toString()),
+      unchanged: unchangedItems
+    },
+    menus: {
+      created: changes.menus.filter(menu => menu.isNew).map(menu => menu.name),
+      updated: changes.menus.filter(menu => !menu.isNew).map(menu => menu.name)
+    },
+    errors,
+    warnings
+  });
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    fail('', 'Import must be an object with categories, items and menus');
+    return { report: report(), changes };
+  }
+  if (data.version !== undefined && data.version !== FORMAT_VERSION) {
+    fail('version', `Unsupported format version ${data.version}`);
+  }
+  const { currency } = pricingOf(restaurant);
+  if (data.restaurant && data.restaurant.currency && data.restaurant.currency !== currency) {
+    fail('restaurant.currency', `Prices in the file are in ${data.restaurant.currency}; this restaurant uses ${currency}`);
+  }
+  ['categories', 'items', 'menus'].forEach(key => {
+    if (data[key] !== undefined && !Array.isArray(data[key])) fail(key, `${key} must be a list`);
+  });
+  if (Array.isArray(data.items) && data.items.length > MAX_IMPORT_ITEMS) {
+    fail('items', `Import at most ${MAX_IMPORT_ITEMS} items at a time`);
+  }
+  if (errors.length) return { report: report(), changes };
+
+  if (data.displays || data.schedules) {
+    warnings.push({ path: '', message: 'Displays and schedules are exported for reference and are not imported' });
+  }
+
+  // Categories
+  const existingCategories = await Category.find({ restaurant: restaurant._id });
+  const categoriesByKey = new Map(existingCategories.map(category => [category.key, category]));
+  const categoryOrder = new Map(existingCategories.map(category => [category._id.toString(), category.order]));
+  let nextOrder = existingCategories.reduce((max, category) => Math.max(max, category.order + 1), 0);
+
+  // The category with this name, planned at the end of the order if missing
+  const categoryFor = (name) => {
+    const key = normalizeName(name);
+    if (!categoriesByKey.has(key)) {
+      const category = new Category({ restaurant: restaurant._id, name: String(name).trim(), order: nextOrder++ });
+      categoriesByKey.set(key, category);
+      categoryOrder.set(category._id.toString(), category.order);
+    }
+    return categoriesByKey.get(key);
+  };
+
+  const categoryPaths = new Map();
+  (data.categories || []).forEach((entry, index) => {
+    const path = `categories[${index}]`;
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+      return fail(`${path}.name`, 'Category name is required');
+    }
+    const category = categoryFor(entry.name);
+    ['description', 'icon', 'color'].forEach(field => {
+      if (entry[field] !== undefined) category[field] = entry[field] || undefined;
+    });
+    categoryPaths.set(category, path);
+  });
+
+  // Items
+  const existingItems = await Item.find({ _id: { $in: restaurant.items } });
+  const bySku = new Map();
+  const byId = new Map();
+  existingItems.forEach(item => {
+    byId.set(item._id.toString(), item);
+    if (item.sku) bySku.set(item.sku, item);
+  });
+  const planned = new Map();
+
+  for (const [index, entry] of (data.items || []).entries()) {
+    const path = label(index);
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      fail(path, 'Item must be an object');
+      continue;
+    }
+
+    const sku = entry.sku === undefined || entry.sku === null ? '' : String(entry.sku).trim();
+    if (!sku || sku.length > MAX_SKU_LENGTH) {
+      fail(`${path}.sku`, `SKU is required (at most ${MAX_SKU_LENGTH} characters)`);
+      continue;
+    }
+    if (planned.has(sku)) {
+      fail(`${path}.sku`, `SKU ${sku} appears more than once`);
+      continue;
+    }
+
+    // Exports give items without a SKU their ID instead
+    const byItemId = byId.get(sku);
+    let item = bySku.get(sku) || (byItemId && !byItemId.sku ? byItemId : null);
+    if (item && item.catalogItem) {
+      warnings.push({ path, message: `${sku} follows the organization catalog and was left as it is` });
+      planned.set(sku, item);
+      continue;
+    }
+    if (!item) item = new Item({ restaurant: restaurant._id, sku });
+    const before = item.isNew ? null : snapshot(item);
+
+    ITEM_FIELDS.forEach(field => {
+      if (entry[field] !== undefined) item[field] = entry[field] === null || entry[field] === '' ? undefined : entry[field];
+    });
+    if (entry.category !== undefined) {
+      if (entry.category) {
+        item.category = categoryFor(entry.category)._id;
+      } else {
+        fail(`${path}.category`, 'Category is required');
+      }
+    }
+    if (Array.isArray(entry.variants)) {
+      item.variants = matchByName(item.variants, entry.variants, (variant, update) => ({
+        isAvailable: variant.isAvailable,
+        restoreAt: variant.restoreAt,
+        calories: variant.calories,
+        ...update,
+        _id: variant._id
+      }));
+    }
+    if (Array.isArray(entry.modifierGroups)) {
+      item.modifierGroups = matchByName(item.modifierGroups, entry.modifierGroups, (group, update) => ({
+        ...update,
+        _id: group._id,
+        options: Array.isArray(update.options)
+          ? matchByName(group.options, update.options, (option, optionUpdate) => ({ ...optionUpdate, _id: option._id }))
+          : update.options
+      }));
+    }
+    // CSV files only carry the calories
+    if (entry.calories !== undefined) {
+      const nutrition = { ...(item.nutrition ? item.nutrition.toObject() : {}), calories: entry.calories === null ? undefined : entry.calories };
+      item.nutrition = Object.values(nutrition).some(value => value !== undefined) ? nutrition : undefined;
+    }
+    if (entry.imageUrl !== undefined && (entry.imageUrl || undefined) !== item.imageUrl) {
+      // A different image URL replaces the media asset, as on edit
+      if (item.imageAsset) changes.releasedAssets.push(item.imageAsset);
+      item.imageUrl = entry.imageUrl || undefined;
+      item.imageAsset = null;
+      item.imageRenditions = undefined;
+    }
+
+    const variantNames = item.variants.map(variant => normalizeName(variant.name));
+    if (new Set(variantNames).size !== variantNames.length) {
+      fail(`${path}.variants`, 'Variant names must be unique');
+    }
+    const conflict = dietaryConflict(item.allergens, item.dietaryTags);
+    if (conflict) fail(`${path}.dietaryTags`, conflict);
+    (await validationErrors(item)).forEach(error => fail(`${path}.${error.path}`, error.message));
+
+    planned.set(sku, item);
+    if (item.isNew || snapshot(item) !== before) {
+      changes.items.push(item);
+    } else {
+      unchangedItems++;
+    }
+  }
+
+  // Menus
+  const existingMenus = await Menu.find({ _id: { $in: restaurant.menus } });
+  const menusByKey = new Map(existingMenus.map(menu => [normalizeName(menu.name), menu]));
+  const seenMenus = new Set();
+
+  const itemsFor = (skus, path) => {
+    if (!Array.isArray(skus)) {
+      fail(path, 'Items must be a list of SKUs');
+      return [];
+    }
+    return skus.map(sku => {
+      const key = String(sku);
+      const item = planned.get(key) || bySku.get(key) || byId.get(key);
+      if (!item) fail(path, `Unknown SKU ${key}`);
+      return item;
+    }).filter(Boolean);
+  };
+
+  // A flat item list as one section per category, in category order
+  const sectionsByCategory = (items) => {
+    const categorized = items.filter(item => item.category);
+    const categoryIds = [...new Set(categorized.map(item => item.category.toString()))]
+      .sort((a, b) => categoryOrder.get(a) - categoryOrder.get(b));
+    return categoryIds.map(categoryId => ({
+      category: categoryId,
+      items: categorized.filter(item => item.category.toString() === categoryId).map(item => item._id)
+    }));
+  };
+
+  for (const [index, entry] of (data.menus || []).entries()) {
+    const path = `menus[${index}]`;
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+      fail(`${path}.name`, 'Menu name is required');
+      continue;
+    }
+    const key = normalizeName(entry.name);
+    if (seenMenus.has(key)) {
+      fail(`${path}.name`, `Menu ${entry.name} appears more than once`);
+      continue;
+    }
+    seenMenus.add(key);
+
+    const menu = menusByKey.get(key) || new Menu({ name: entry.name.trim() });
+    let changed = menu.isNew;
+    if (entry.description !== undefined && (entry.description || undefined) !== menu.description) {
+      menu.description = entry.description || undefined;
+      changed = true;
+    }
+
+    let sections;
+    if (Array.isArray(entry.sections)) {
+      sections = entry.sections.map((section, sectionIndex) => ({
+        name: section && section.name ? section.name : undefined,
+        category: section && section.category ? categoryFor(section.category)._id : null,
+        items: itemsFor(section && section.items, `${path}.sections[${sectionIndex}].items`).map(item => item._id)
+      }));
+    } else if (entry.items !== undefined) {
+      sections = sectionsByCategory(itemsFor(entry.items, `${path}.items`));
+    }
+    if (sections && sectionsKey(sections) !== sectionsKey(menu.sections)) {
+      menu.sections = sections;
+      changed = true;
+    }
+
+    (await validationErrors(menu)).forEach(error => fail(`${path}.${error.path}`, error.message));
+    if (changed) changes.menus.push(menu);
+  }
+
+  // Every new category and each listed one that changed
+  for (const category of categoriesByKey.values()) {
+    if (!category.isNew && !category.isModified()) continue;
+    const path = categoryPaths.get(category) || 'categories';
+    (await validationErrors(category)).forEach(error => fail(`${path}.${error.path}`, error.message));
+    changes.categories.push(category);
+  }
+
+  return { report: report(), changes };
+};
+
+// Save a document, adding it to the restaurant's `field` list if new. Linked
+// as each is saved, so an import that fails part-way leaves no saved
+// document outside the restaurant.
+const saveToRestaurant = async (restaurant, field, doc) => {
+  const isNew = doc.isNew;
+  await doc.save();
+  if (isNew) {
+    await Restaurant.updateOne({ _id: restaurant._id }, { $addToSet: { [field]: doc._id } });
+  }
+};
+
+// Save a planned import. New categories, items and menus join the restaurant.
+const applyImport = async (restaurant, changes, { changedBy = null } = {}) => {
+  for (const category of changes.categories) {
+    await saveToRestaurant(restaurant, 'categories', category);
+  }
+
+  for (const item of changes.items) {
+    item.$locals.priceChange = item.isNew ? { changedBy } : { reason: 'import', changedBy };
+    await saveToRestaurant(restaurant, 'items', item);
+  }
+
+  for (const menu of changes.menus) {
+    await saveToRestaurant(restaurant, 'menus', menu);
+  }
+
+  await releaseAssets(changes.releasedAssets);
+};
+
+module.exports = {
+  exportRestaurant,
+  exportCsv,
+  parseImportFile,
+  planImport,
+  applyImport
+};
@@ -0,0 +1,162 @@
+const Item = require('../models/Item');
+const StockHistory = require('../models/StockHistory');
+const { nextLocalTime } = require('./scheduleResolver');
+const { setAvailability, emitAvailabilityChanged } = require('./availability');
+const { restaurantsByItem } = require('./priceSchedules');
+
+// When a stock's daily reset is next due, or null without one
+const nextResetAt = (stock, timeZone = 'UTC', from = new Date()) =>
+  stock.resetCount !== null && stock.resetTime ? nextLocalTime(stock.resetTime, timeZone, from) : null;
+
+const isLowStock = (stock, count) =>
+  stock.lowStockThreshold !== null && count !== null && count <= stock.lowStockThreshold;
+
+// Sell the item out when its count reaches zero, and bring it back once
+// restocked if that is what sold it out; returns whether availability changed
+const syncStockAvailability = (item) => {
+  const { stock } = item;
+  if (!stock) return false;
+
+  if (stock.count === 0) {
+    if (!item.isAvailable) return false;
+    setAvailability(item, false);
+    stock.soldOut = true;
+    // Keeps the catalog from making a linked item available again
+    if (item.catalogItem) item.overrides.isAvailable = true;
+    return true;
+  }
+
+  if (!stock.soldOut) return false;
+  stock.soldOut = false;
+  if (item.isAvailable) return false;
+  setAvailability(item, true);
+  return true;
+};
+
+// Change a counted item's stock: `delta` adds to the count (negative to sell)
+// and `count` sets it. Deltas are applied in one update, so simultaneous sales
+// can't take the count below zero. Returns { item, previousCount,
+// availabilityChanged }, or null when there isn't enough stock.
+const changeStock = async (item, { delta, count }, { reason, note, changedBy = null }) => {
+  const filter = { _id: item._id, stock: { $ne: null } };
+  let update;
+  if (count !== undefined) {
+    update = { $set: { 'stock.count': count } };
+  } else {
+    if (delta < 0) filter['stock.count'] = { $gte: -delta };
+    update = { $inc: { 'stock.count': delta } };
+  }
+
+  const updated = await Item.findOneAndUpdate(filter, update, { new: true });
+  if (!updated) return null;
+
+  const previousCount = count !== undefined ? item.stock.count : updated.stock.count - delta;
+  const availabilityChanged = syncStockAvailability(updated);
+  if (updated.isModified()) await updated.save();
+
+  await StockHistory.create({
+    item: updated._id,
+    count: updated.stock.count,
+    change: updated.stock.count - previousCount,
+    reason,
+    note,
+    changedBy
+  });
+
+  return { item: updated, previousCount, availabilityChanged };
+};
+
+// Start counting an item's stock or change its settings; returns the same
+// result as changeStock
+const setStock = async (item, settings, { timeZone, changedBy = null }) => {
+  const previousCount = item.stock ? item.stock.count : null;
+  const { count, lowStockThreshold = null, resetCount = null, resetTime = null } = settings;
+
+  item.stock = {
+    count,
+    lowStockThreshold,
+    resetCount,
+    resetTime,
+    soldOut: item.stock ? item.stock.soldOut : false
+  };
+  item.stock.resetAt = nextResetAt(item.stock, timeZone);
+  const availabilityChanged = syncStockAvailability(item);
+  await item.save();
+
+  await StockHistory.create({
+    item: item._id,
+    count,
+    change: count - (previousCount || 0),
+    reason: 'set',
+    changedBy
+  });
+
+  return { item, previousCount, availabilityChanged };
+};
+
+// Stop counting an item's stock; an item the stock sold out comes back
+const clearStock = async (item) => {
+  const availabilityChanged = Boolean(item.stock && item.stock.soldOut && !item.isAvailable);
+  if (availabilityChanged) setAvailability(item, true);
+  const previousCount = item.stock ? item.stock.count : null;
+  item.stock = null;
+  await item.save();
+  return { item, previousCount, availabilityChanged };
+};
+
+// Tell dashboards about the new count, warn them when it drops to the
+// low-stock threshold, and broadcast a sell-out or restock like the toggle does
+const emitStockChanged = async (io, restaurant, { item, previousCount, availabilityChanged }) => {
+  const { stock } = item;
+  const count = stock ? stock.count : null;
+
+  io.to(`restaurant-${restaurant._id}`).emit('item-stock-changed', {
+    itemId: item._id,
+    count,
+    previousCount,
+    lowStockThreshold: stock ? stock.lowStockThreshold : null
+  });
+
+  // Once when it gets low, not on every sale after that
+  if (stock && isLowStock(stock, count) && !isLowStock(stock, previousCount)) {
+    io.to(`restaurant-${restaurant._id}`).emit('item-low-stock', {
+      itemId: item._id,
+      name: item.name,
+      count,
+      lowStockThreshold: stock.lowStockThreshold
+    });
+  }
+
+  if (availabilityChanged) await emitAvailabilityChanged(io, restaurant, item);
+};
+
+// Put daily stock counts back to their reset count when due
+const runStockResetTick = async (io, now = new Date()) => {
+  const items = await Item.find({ 'stock.resetAt': { $lte: now } });
+  if (items.length === 0) return;
+
+  const restaurants = await restaurantsByItem(items.map(item => item._id));
+
+  for (const item of items) {
+    const restaurant = restaurants.get(item._id.toString());
+
+    // Move on to the next reset first, so a failure doesn't retry every minute
+    item.stock.resetAt = nextResetAt(item.stock, restaurant ? restaurant.timezone : 'UTC', now);
+    await item.save();
+    if (item.stock.resetCount === null) continue;
+
+    const result = await changeStock(item, { count: item.stock.resetCount }, { reason: 'reset' });
+    if (!result) continue;
+    console.log(`📦 Stock of item ${item._id} reset to ${item.stock.resetCount}`);
+
+    if (restaurant) await emitStockChanged(io, restaurant, result);
+  }
+};
+
+module.exports = {
+  changeStock,
+  setStock,
+  clearStock,
+  emitStockChanged,
+  runStockResetTick
+};
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+const APP_URL = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173';
+const OUTBOX_FILE = process.env.MAIL_OUTBOX_FILE || path.join(__dirname, '..', 'tmp', 'mail-outbox.log');
+
+// Write messages to the server log
+const logTransport = async ({ to, subject, text }) => {
+  console.log(`✉️  Mail to ${to}: ${subject}\n${text}`);
+};
+
+// Append messages to a local outbox file, for development
+const fileTransport = async ({ to, subject, text }) => {
+  await fs.promises.mkdir(path.dirname(OUTBOX_FILE), { recursive: true });
+  const entry = [
+    `Date: ${new Date().toISOString()}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    '',
+    text,
+    '',
+    '-'.repeat(72),
+    ''
+  ].join('\n');
+  await fs.promises.appendFile(OUTBOX_FILE, entry);
+  console.log(`✉️  Mail to ${to} written to ${OUTBOX_FILE}`);
+};
+
+const transports = {
+  log: logTransport,
+  file: fileTransport
+};
+
+// MAIL_TRANSPORT picks a built-in transport; development defaults to the outbox file
+const defaultTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'log' : 'file');
+  return transports[name] || logTransport;
+};
+
+let transport = defaultTransport();
+
+// Register a custom transport (e.g. SMTP): an async function receiving { to, subject, text }
+const setTransport = (nextTransport) => {
+  transport = nextTransport || defaultTransport();
+};
+
+const sendMail = (message) => transport(message);
+
+// Absolute dashboard URL for links in emails
+const appUrl = (pathname) => `${APP_URL}${pathname}`;
+
+module.exports = { sendMail, setTransport, appUrl };
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const os = require('os');
+const multer = require('multer');
+const MediaAsset = require('../models/MediaAsset');
+const Restaurant = require('../models/Restaurant');
+const Display = require('../models/Display');
+const Item = require('../models/Item');
+const CatalogItem = require('../models/CatalogItem');
+const Playlist = require('../models/Playlist');
+const { probeMedia } = require('./mediaProbe');
+const { processImage } = require('./imageProcessing');
+const { getStorage, uploadUrl } = require('./storage');
+const { FILE_TYPES, detectFileTypeOfPath } = require('./fileType');
+
+const MEDIA_TYPES = {
+  image: 'image/',
+  video: 'video/'
+};
+
+const mediaTypeOf = (mimeType) =>
+  Object.keys(MEDIA_TYPES).find(type => mimeType.startsWith(MEDIA_TYPES[type])) || null;
+
+// Remove a multer temp file, if it is still there
+const discardUpload = (file) => fs.promises.unlink(file.path).catch(() => {});
+
+// Prefixes createUpload is called with across the routes
+const UPLOAD_PREFIXES = ['media', 'item', 'slide'];
+
+// Stored names are `<prefix>-<timestamp>-<random>`, renditions add
+// `-<name>`, and older uploads kept the client's extension. Keys that don't
+// look like this were not written by the API.
+const UPLOAD_KEY_PATTERN = new RegExp(`^(${UPLOAD_PREFIXES.join('|')})-\\d+-\\d+(-[A-Za-z]+)?(\\.[A-Za-z0-9]+)?$`);
+
+const isUploadKey = (key) => UPLOAD_KEY_PATTERN.test(key);
+
+// Upload middleware factory with multer's `single(field)`. Files are saved
+// to the temp directory as `<prefix>-<random>`, then identified by their
+// leading bytes: anything outside the allowed `types` is rejected, and the
+// extension (and `req.file.mimetype`) come from the detected format, never
+// from the client. createAsset moves accepted files into storage.
+const createUpload = ({ prefix, types = ['image', 'video'], maxSize = 50 * 1024 * 1024 }) => {
+  if (!UPLOAD_PREFIXES.includes(prefix)) {
+    throw new Error(`Unknown upload prefix: ${prefix}`);
+  }
+
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: (req, file, cb) => {
+        cb(null, os.tmpdir());
+      },
+      filename: (req, file, cb) => {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        cb(null, prefix + '-' + uniqueSuffix);
+      }
+    }),
+    limits: {
+      fileSize: maxSize
+    }
+  });
+
+  const allowedFormats = FILE_TYPES
+    .filter(type => types.includes(type.mediaType))
+    .map(type => type.extension)
+    .join(', ');
+
+  return {
+    single: (field) => (req, res, next) => {
+      upload.single(field)(req, res, async (error) => {
+        if (error) {
+          return res.status(400).json({
+            error: error.code === 'LIMIT_FILE_SIZE' ? 'File too large' : 'Invalid upload',
+            message: error.message
+          });
+        }
+        if (!req.file) return next();
+
+        // Whatever the route does, the temp file goes once the response is sent
+        const file = req.file;
+        res.on('finish', () => discardUpload(file));
+
+        try {
+          const detected = await detectFileTypeOfPath(file.path);
+          if (!detected || !types.includes(detected.mediaType)) {
+            return res.status(400).json({
+              error: `Only ${types.join(' and ')} files are allowed`,
+              message: `Supported formats: ${allowedFormats}`
+            });
+          }
+
+          file.mimetype = detected.mimeType;
+          file.filename = `${file.filename}.${detected.extension}`;
+          next();
+        } catch (checkError) {
+          console.error('Upload check error:', checkError);
+          res.status(500).json({ error: 'Failed to upload file' });
+        }
+      });
+    }
+  };
+};
+
+// Describe an upload and store it; images are also made upright, stripped of
+// metadata and resized, with every rendition stored next to the original
+const storeFile = async (file) => {
+  const storage = getStorage();
+  const mediaType = mediaTypeOf(file.mimetype);
+  const input = await fs.promises.readFile(file.path);
+  const described = { mimeType: file.mimetype, size: file.size, renditions: {} };
+
+  if (mediaType === 'image') {
+    let processed = null;
+    try {
+      processed = await processImage(input, file.filename);
+    } catch (error) {
+      // Keep the upload as-is; sharp can't read every format a browser labels image/*
+      console.error('Image processing error:', error);
+    }
+
+    if (processed) {
+      const { width, height, size, data, renditions } = processed;
+      const mimeType = processed.mimeType || file.mimetype;
+      await storage.put(file.filename, data || input, { contentType: mimeType });
+
+      for (const name of Object.keys(renditions)) {
+        const { data: renditionData, ...rendition } = renditions[name];
+        await storage.put(rendition.filename, renditionData, { contentType: rendition.mimeType });
+        renditions[name] = { ...rendition, url: uploadUrl(rendition.filename) };
+      }
+      return { ...described, width, height, size, mimeType, duration: null, renditions };
+    }
+  }
+
+  const probed = await probeMedia(file.path, file.mimetype);
+  await storage.put(file.filename, input, { contentType: file.mimetype });
+  return { ...described, ...probed };
+};
+
+// Record an uploaded multer file as a media asset of the restaurant
+const createAsset = async (file, { restaurant, user, library = true, name, tags = [] }) => {
+  let described;
+  try {
+    described = await storeFile(file);
+  } finally {
+    await discardUpload(file);
+  }
+
+  const asset = new MediaAsset({
+    restaurant: restaurant._id,
+    name: name || file.originalname,
+    originalName: file.originalname,
+    filename: file.filename,
+    url: uploadUrl(file.filename),
+    mediaType: mediaTypeOf(file.mimetype),
+    ...described,
+    tags,
+    library,
+    uploadedBy: user ? user._id : undefined
+  });
+  await asset.save();
+
+  await Restaurant.updateOne({ _id: restaurant._id }, { $push: { mediaAssets: asset._id } });
+  return asset;
+};
+
+// Public rendition URLs of an asset, plus the original: { name: { url, width, height } }
+const renditionUrls = (asset) => {
+  if (!asset) return undefined;
+
+  const urls = { original: { url: asset.url, width: asset.width, height: asset.height } };
+  asset.renditions.forEach((rendition, name) => {
+    urls[name] = { url: rendition.url, width: rendition.width, height: rendition.height };
+  });
+  return urls;
+};
+
+// Delete a stored file, ignoring files that are already gone
+const deleteFile = (filename) => getStorage().delete(filename);
+
+// Delete the asset record, its file and its renditions
+const removeAsset = async (asset) => {
+  await MediaAsset.deleteOne({ _id: asset._id });
+  await Restaurant.updateOne({ _id: asset.restaurant }, { $pull: { mediaAssets: asset._id } });
+  await deleteFile(asset.filename);
+  for (const rendition of asset.renditions.values()) {
+    await deleteFile(rendition.filename);
+  }
+  console.log(`🗑️  Removed media asset ${asset._id} (${asset.filename})`);
+};
+
+// Where an asset is used, by asset ID or by URL (for values set before assets existed)
+const getAssetUsage = async (asset) => {
+  const [displays, items, catalogItems, playlists] = await Promise.all([
+    Display.find({ $or: [{ mediaAsset: asset._id }, { mediaUrl: asset.url }] }, 'name'),
+    Item.find({ $or: [{ imageAsset: asset._id }, { imageUrl: asset.url }] }, 'name'),
+    CatalogItem.find({ imageUrl: asset.url }, 'name'),
+    Playlist.find({
+      $or: [
+        { 'slides.mediaAsset': asset._id },
+        { 'slides.mediaUrl': asset.url },
+        { 'slides.promo.imageUrl': asset.url }
+      ]
+    }, 'name')
+  ]);
+
+  return {
+    inUse: displays.length + items.length + catalogItems.length + playlists.length > 0,
+    displays,
+    items,
+    catalogItems,
+    playlists
+  };
+};
+
+// Remove assets outside the library once nothing references them anymore.
+// Called after a display, item or slide lets go of an asset.
+const releaseAssets = async (assetIds) => {
+  const ids = [].concat(assetIds).filter(Boolean);
+  if (!ids.length) return;
+
+  const assets = await MediaAsset.find({ _id: { $in: ids }, library: false });
+  for (const asset of assets) {
+    const usage = await getAssetUsage(asset);
+    if (!usage.inUse) await removeAsset(asset);
+  }
+};
+
+module.exports = {
+  mediaTypeOf,
+  isUploadKey,
+  createUpload,
+  createAsset,
+  renditionUrls,
+  deleteFile,
+  removeAsset,
+  getAssetUsage,
+  releaseAssets
+};
@@ -0,0 +1,170 @@
+const fs = require('fs');
+
+// Reads dimensions and duration straight from file headers, so uploads can be
+// described without native image or video tooling. Formats it doesn't know
+// come back with null fields.
+
+const HEADER_BYTES = 512 * 1024;
+const MAX_MOOV_BYTES = 32 * 1024 * 1024;
+
+const readBytes = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+const pngSize = (buffer) => {
+  if (buffer.length < 24 || buffer.toString('ascii', 1, 4) !== 'PNG') return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+};
+
+const gifSize = (buffer) => {
+  if (buffer.length < 10 || buffer.toString('ascii', 0, 3) !== 'GIF') return null;
+  return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+};
+
+// Walk JPEG segments up to the first start-of-frame marker
+const jpegSize = (buffer) => {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isFrame) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+};
+
+const webpSize = (buffer) => {
+  if (buffer.length < 30 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WEBP') {
+    return null;
+  }
+
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+};
+
+// Child boxes of an MP4/MOV box body, as { type, start, end } offsets into `buffer`
+const childBoxes = (buffer, start = 0, end = buffer.length) => {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header) break;
+    boxes.push({ type, start: offset + header, end: Math.min(offset + size, end) });
+    offset += size;
+  }
+  return boxes;
+};
+
+// Locate the top-level `moov` box without reading the media data around it
+const readMoov = async (handle, fileSize) => {
+  let position = 0;
+  while (position + 8 <= fileSize) {
+    const header = await readBytes(handle, position, 16);
+    if (header.length < 8) return null;
+
+    let size = header.readUInt32BE(0);
+    const type = header.toString('ascii', 4, 8);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = fileSize - position;
+    }
+    if (size < headerSize) return null;
+
+    if (type === 'moov') {
+      if (size > MAX_MOOV_BYTES) return null;
+      return readBytes(handle, position + headerSize, size - headerSize);
+    }
+    position += size;
+  }
+  return null;
+};
+
+const mp4Info = (moov) => {
+  const info = { width: null, height: null, duration: null };
+  const boxes = childBoxes(moov);
+
+  const mvhd = boxes.find(box => box.type === 'mvhd');
+  if (mvhd) {
+    const version = moov[mvhd.start];
+    const timescale = moov.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+    const duration = version === 1
+      ? Number(moov.readBigUInt64BE(mvhd.start + 24))
+      : moov.readUInt32BE(mvhd.start + 16);
+    if (timescale) info.duration = Math.round((duration / timescale) * 100) / 100;
+  }
+
+  // The first track with a picture size is the video track
+  boxes.filter(box => box.type === 'trak').some(trak => {
+    const tkhd = childBoxes(moov, trak.start, trak.end).find(box => box.type === 'tkhd');
+    if (!tkhd) return false;
+    const version = moov[tkhd.start];
+    const sizeOffset = tkhd.start + (version === 1 ? 88 : 76);
+    if (sizeOffset + 8 > tkhd.end) return false;
+    // 16.16 fixed point
+    const width = moov.readUInt32BE(sizeOffset) >>> 16;
+    const height = moov.readUInt32BE(sizeOffset + 4) >>> 16;
+    if (!width || !height) return false;
+    info.width = width;
+    info.height = height;
+    return true;
+  });
+
+  return info;
+};
+
+// Describe an uploaded file: { width, height, duration } (duration in seconds, videos only)
+const probeMedia = async (filePath, mimeType) => {
+  const empty = { width: null, height: null, duration: null };
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    if (mimeType.startsWith('image/')) {
+      const buffer = await readBytes(handle, 0, HEADER_BYTES);
+      const size = pngSize(buffer) || gifSize(buffer) || jpegSize(buffer) || webpSize(buffer);
+      return size ? { ...empty, ...size } : empty;
+    }
+
+    if (mimeType === 'video/mp4' || mimeType === 'video/quicktime') {
+      const { size } = await handle.stat();
+      const moov = await readMoov(handle, size);
+      return moov ? mp4Info(moov) : empty;
+    }
+
+    return empty;
+  } catch (error) {
+    console.error('Media probe error:', error);
+    return empty;
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = { probeMedia };
@@ -0,0 +1,103 @@
+const MediaAsset = require('../models/MediaAsset');
+const Display = require('../models/Display');
+const Item = require('../models/Item');
+const CatalogItem = require('../models/CatalogItem');
+const Playlist = require('../models/Playlist');
+const { isUploadKey, deleteFile, removeAsset } = require('./media');
+const { getStorage, uploadUrl } = require('./storage');
+
+const SWEEP_INTERVAL = (parseInt(process.env.MEDIA_SWEEP_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+// Leave recent uploads alone; their request may still be attaching them
+const GRACE_PERIOD = 60 * 60 * 1000;
+
+// Every asset ID and upload URL that something still points at
+const loadReferences = async () => {
+  const ids = new Set();
+  const urls = new Set();
+  const add = (set, value) => {
+    if (value) set.add(value.toString());
+  };
+
+  const [displays, items, catalogItems, playlists] = await Promise.all([
+    Display.find({}, 'mediaAsset mediaUrl').lean(),
+    Item.find({}, 'imageAsset imageUrl').lean(),
+    CatalogItem.find({}, 'imageUrl').lean(),
+    Playlist.find({}, 'slides.mediaAsset slides.mediaUrl slides.promo.imageUrl').lean()
+  ]);
+
+  displays.forEach(display => {
+    add(ids, display.mediaAsset);
+    add(urls, display.mediaUrl);
+  });
+  items.forEach(item => {
+    add(ids, item.imageAsset);
+    add(urls, item.imageUrl);
+  });
+  catalogItems.forEach(catalogItem => add(urls, catalogItem.imageUrl));
+  playlists.forEach(playlist => (playlist.slides || []).forEach(slide => {
+    add(ids, slide.mediaAsset);
+    add(urls, slide.mediaUrl);
+    add(urls, slide.promo && slide.promo.imageUrl);
+  }));
+
+  return { ids, urls };
+};
+
+// Remove unreferenced assets outside the library, then uploaded files that no
+// asset or document knows about. Only keys named like our uploads are
+// considered, since the storage may be shared (e.g. a bucket without S3_PREFIX).
+const sweepMedia = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - GRACE_PERIOD);
+  const { ids, urls } = await loadReferences();
+  let removed = 0;
+
+  const assets = await MediaAsset.find({ library: false, createdAt: { $lt: cutoff } });
+  for (const asset of assets) {
+    if (ids.has(asset._id.toString()) || urls.has(asset.url)) continue;
+    await removeAsset(asset);
+    removed++;
+  }
+
+  const known = new Set();
+  const stored = await MediaAsset.find({}, 'filename renditions').lean();
+  stored.forEach(asset => {
+    known.add(asset.filename);
+    Object.values(asset.renditions || {}).forEach(rendition => known.add(rendition.filename));
+  });
+  const files = await getStorage().list();
+  for (const { key: filename, lastModified } of files) {
+    if (!isUploadKey(filename) || known.has(filename) || urls.has(uploadUrl(filename)) || lastModified >= cutoff) continue;
+
+    await deleteFile(filename);
+    console.log(`🗑️  Removed orphaned upload ${filename}`);
+    removed++;
+  }
+
+  return removed;
+};
+
+// Start the background sweeper
+const startMediaSweeper = () => {
+  let running = false;
+
+  const interval = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sweepMedia();
+    } catch (error) {
+      console.error('Media sweeper error:', error);
+    } finally {
+      running = false;
+    }
+  }, SWEEP_INTERVAL);
+
+  console.log('🧹 Media sweeper started');
+
+  return () => clearInterval(interval);
+};
+
+module.exports = {
+  sweepMedia,
+  startMediaSweeper
+};
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Item = require('../models/Item');
+const { pricingOf, formatItem } = require('./money');
+const { matchesItemFilters, buildLegend } = require('./dietary');
+
+// Populate everything buildMenuLayout renders
+const MENU_LAYOUT_POPULATE = [
+  { path: 'sections.items' },
+  { path: 'sections.category' }
+];
+
+// Populated refs are documents; unpopulated ones are bare ObjectIds
+const isPopulated = (ref) => Boolean(ref && typeof ref === 'object' && !(ref instanceof mongoose.Types.ObjectId));
+
+// Sections for a flat list of item IDs: one per category in category order,
+// items keeping their order in the list
+const sectionsFromItems = async (itemIds) => {
+  const items = await Item.find({ _id: { $in: itemIds } }, 'category');
+  const categoryOf = new Map(items.map(item => [item._id.toString(), String(item.category)]));
+  const categories = await Category.find({ _id: { $in: items.map(item => item.category) } }).sort({ order: 1, name: 1 });
+
+  return categories.map(category => ({
+    category: category._id,
+    items: itemIds.filter(id => categoryOf.get(String(id)) === category._id.toString())
+  }));
+};
+
+// Variant names across a section's items in first-seen order, e.g.
+// ["Small", "Medium", "Large"]: the price columns a board draws
+const priceColumns = (items) => {
+  const columns = [];
+  items.forEach(item => (item.variants || []).forEach(variant => {
+    if (!columns.includes(variant.name)) columns.push(variant.name);
+  }));
+  return columns;
+};
+
+const withoutSoldOutVariants = (item) => {
+  const doc = item.toObject ? item.toObject() : item;
+  return { ...doc, variants: (doc.variants || []).filter(variant => variant.isAvailable !== false) };
+};
+
+// What a board renders for a menu: ordered sections, each with its heading,
+// icon, color, price columns and ordered items, priced with `pricing` (see
+// pricingOf), plus the legend for the allergen and dietary icons shown.
+// Options:
+// - filters (see services/dietary): leave out non-matching items
+// - soldOutMode (see Display.soldOutMode): "hide" leaves out unavailable
+//   items and variants; the other modes are for the screen to draw
+// Sections left empty by either are left out. Unpopulated menus come back as their ID.
+const buildMenuLayout = (menu, pricing = pricingOf(null), { filters = null, soldOutMode } = {}) => {
+  if (!isPopulated(menu)) return menu || null;
+  const doc = menu.toObject ? menu.toObject() : menu;
+  const hideSoldOut = soldOutMode === 'hide';
+
+  const sections = (doc.sections || []).map(section => {
+    const category = isPopulated(section.category) ? section.category : null;
+    // Items deleted since the menu was saved populate as null
+    const items = (section.items || []).filter(Boolean)
+      .filter(item => !filters || (isPopulated(item) && matchesItemFilters(item, filters)))
+      .filter(item => !hideSoldOut || !isPopulated(item) || item.isAvailable !== false)
+      .map(item => (hideSoldOut && isPopulated(item) ? withoutSoldOutVariants(item) : item));
+    return {
+      id: section._id,
+      name: section.name || (category ? category.name : null),
+      category: category ? category._id : section.category || null,
+      icon: category ? category.icon || null : null,
+      color: category ? category.color || null : null,
+      priceColumns: priceColumns(items.filter(isPopulated)),
+      items: items.map(item => (isPopulated(item) ? formatItem(item, pricing) : item))
+    };
+  });
+  const shown = filters || hideSoldOut ? sections.filter(section => section.items.length > 0) : sections;
+
+  return {
+    id: doc._id,
+    name: doc.name,
+    description: doc.description,
+    sections: shown,
+    legend: buildLegend(shown.flatMap(section => section.items.filter(isPopulated))),
+    soldOutMode,
+    updatedAt: doc.updatedAt
+  };
+};
+
+module.exports = {
+  MENU_LAYOUT_POPULATE,
+  isPopulated,
+  sectionsFromItems,
+  buildMenuLayout
+};
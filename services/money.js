@@ -0,0 +1,110 @@
+// Prices are stored as integers in the currency's minor unit (cents for USD,
+// yen for JPY, fils for KWD) so arithmetic stays exact. Formatting for
+// people happens only on the way out, in the restaurant's locale.
+
+const DEFAULT_CURRENCY = 'USD';
+const DEFAULT_LOCALE = 'en-US';
+
+const isValidCurrency = (currency) =>
+  typeof currency === 'string' && Intl.supportedValuesOf('currency').includes(currency);
+
+const isValidLocale = (locale) => {
+  try {
+    return typeof locale === 'string' && Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Digits after the decimal point: 2 for USD, 0 for JPY, 3 for KWD
+const minorUnitDigits = (currency) =>
+  new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+
+// Convert an amount in major units (e.g. 12.99 dollars) to minor units (1299)
+const toMinorUnits = (amount, currency) => Math.round(Number(amount) * 10 ** minorUnitDigits(currency));
+
+// Directly changed paths that mean new prices were entered
+const PRICE_PATH = /(^|\.)(price|variants|modifierGroups|options)$/;
+
+// Whether a document saved now holds prices in minor units: new documents and
+// ones whose prices were just set. Documents from before currencies keep their
+// decimal prices, unmarked, until migrate-prices converts them.
+const entersMinorUnits = (doc) => doc.isNew || doc.directModifiedPaths().some(path => PRICE_PATH.test(path));
+
+const formatters = new Map();
+
+// "$12.99", "12,99 €", "¥1,300"... for an amount in minor units
+const formatPrice = (amount, { currency = DEFAULT_CURRENCY, locale = DEFAULT_LOCALE } = {}) => {
+  if (amount === null || amount === undefined) return null;
+
+  const key = `${locale}|${currency}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(locale, { style: 'currency', currency }));
+  }
+  return formatters.get(key).format(amount / 10 ** minorUnitDigits(currency));
+};
+
+// Currency and locale used to format a restaurant's prices
+const pricingOf = (restaurant) => ({
+  currency: (restaurant && restaurant.currency) || DEFAULT_CURRENCY,
+  locale: (restaurant && restaurant.locale) || DEFAULT_LOCALE
+});
+
+// Prices an item shows right now: its regular prices, or those of its open
+// price override (see Item.priceOverride), with the regular ones alongside
+const effectivePrices = (item) => {
+  const override = item.priceOverride;
+  const overridden = new Map(((override && override.variants) || []).map(entry => [String(entry.variant), entry.price]));
+  const priceOf = (variant) => (overridden.has(String(variant._id)) ? overridden.get(String(variant._id)) : variant.price);
+
+  return {
+    price: override && override.price !== undefined && override.price !== null ? override.price : item.price,
+    regularPrice: item.price,
+    variants: (item.variants || []).map(variant => ({
+      variant: variant._id,
+      name: variant.name,
+      price: priceOf(variant),
+      regularPrice: variant.price
+    }))
+  };
+};
+
+// An item as sent to clients: the stored fields plus `currency` and a
+// `formattedPrice` next to every price (item, variants and modifier options).
+// While a price override is open, `price` is the override price and
+// `regularPrice` the usual one.
+const formatItem = (item, pricing) => {
+  const doc = item.toObject ? item.toObject() : item;
+  const withFormatted = (entry) => ({ ...entry, formattedPrice: formatPrice(entry.price, pricing) });
+  const withRegular = (entry, price) => (price === entry.price ? entry : {
+    ...entry,
+    price,
+    regularPrice: entry.price,
+    formattedRegularPrice: formatPrice(entry.price, pricing)
+  });
+  const prices = effectivePrices(doc);
+
+  return {
+    ...withFormatted(withRegular(doc, prices.price)),
+    currency: pricing.currency,
+    variants: (doc.variants || []).map((variant, index) => withFormatted(withRegular(variant, prices.variants[index].price))),
+    modifierGroups: (doc.modifierGroups || []).map(group => ({
+      ...group,
+      options: (group.options || []).map(withFormatted)
+    }))
+  };
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  DEFAULT_LOCALE,
+  isValidCurrency,
+  isValidLocale,
+  minorUnitDigits,
+  toMinorUnits,
+  entersMinorUnits,
+  formatPrice,
+  pricingOf,
+  effectivePrices,
+  formatItem
+};
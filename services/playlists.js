@@ -0,0 +1,111 @@
+const Display = require('../models/Display');
+const Menu = require('../models/Menu');
+const Playlist = require('../models/Playlist');
+const Restaurant = require('../models/Restaurant');
+const { MENU_LAYOUT_POPULATE, isPopulated, buildMenuLayout } = require('./menus');
+const { pricingOf, formatItem } = require('./money');
+
+const DEFAULT_SLIDE_DURATION = 10;
+
+// Populate everything a screen needs to play its rotation
+const DISPLAY_CONTENT_POPULATE = [
+  { path: 'currentMenu', populate: MENU_LAYOUT_POPULATE },
+  { path: 'currentPlaylist', populate: { path: 'slides.menu', populate: MENU_LAYOUT_POPULATE } }
+];
+
+const transformSlide = (slide, pricing, soldOutMode) => ({
+  id: slide._id,
+  type: slide.type,
+  menu: slide.type === 'menu' ? buildMenuLayout(slide.menu, pricing, { soldOutMode }) : undefined,
+  mediaUrl: slide.mediaUrl,
+  renditions: slide.mediaRenditions || undefined,
+  promo: slide.type === 'promo' ? slide.promo : undefined,
+  duration: slide.duration === undefined ? DEFAULT_SLIDE_DURATION : slide.duration,
+  transition: slide.transition || 'fade'
+});
+
+// Ordered slides the screen should cycle through. With a playlist assigned
+// that is the playlist; otherwise the current menu followed by the uploaded
+// media. Null when the playlist is assigned but was not populated. Menu
+// prices are formatted with `pricing` (see pricingOf); sold-out items follow
+// the display's soldOutMode.
+const buildRotation = (display, pricing = pricingOf(null)) => {
+  const doc = display.toObject ? display.toObject() : display;
+  const { soldOutMode } = doc;
+
+  if (doc.currentPlaylist) {
+    return isPopulated(doc.currentPlaylist) ? doc.currentPlaylist.slides.map(slide => transformSlide(slide, pricing, soldOutMode)) : null;
+  }
+
+  const rotation = [];
+  if (doc.currentMenu) {
+    rotation.push({ type: 'menu', menu: buildMenuLayout(doc.currentMenu, pricing, { soldOutMode }), duration: DEFAULT_SLIDE_DURATION, transition: 'fade' });
+  }
+  if (doc.mediaUrl && doc.mediaType) {
+    const duration = doc.mediaType === 'video' ? null : DEFAULT_SLIDE_DURATION;
+    rotation.push({ type: doc.mediaType, mediaUrl: doc.mediaUrl, renditions: doc.mediaRenditions || undefined, duration, transition: 'fade' });
+  }
+  return rotation;
+};
+
+// Pricing of the restaurant a display belongs to
+const displayPricing = async (displayId) =>
+  pricingOf(await Restaurant.findOne({ displays: displayId }, 'currency locale'));
+
+// Send the current rotation to each display's room
+const emitRotation = async (io, displayIds) => {
+  const displays = await Display.find({ _id: { $in: displayIds } }).populate(DISPLAY_CONTENT_POPULATE);
+  for (const display of displays) {
+    io.to(`display-${display._id}`).emit('rotation-updated', {
+      displayId: display._id,
+      playlistId: display.currentPlaylist ? display.currentPlaylist._id : null,
+      rotation: buildRotation(display, await displayPricing(display._id))
+    });
+  }
+};
+
+// IDs of displays showing any of the menus, as their current menu or a menu
+// slide of their playlist
+const displaysShowingMenus = async (menuIds) => {
+  if (menuIds.length === 0) return [];
+
+  const playlistIds = await Playlist.distinct('_id', { 'slides.menu': { $in: menuIds } });
+  return Display.distinct('_id', {
+    $or: [
+      { currentMenu: { $in: menuIds } },
+      { currentPlaylist: { $in: playlistIds } }
+    ]
+  });
+};
+
+// IDs of displays showing any of the items, through one of those menus
+const displaysShowingItems = async (itemIds) =>
+  displaysShowingMenus(await Menu.distinct('_id', { items: { $in: itemIds } }));
+
+// Send an item event to the restaurant's dashboards and to every display
+// showing the item. Displays also get their soldOutMode, so the screen
+// knows whether to hide, grey out or stamp an unavailable item.
+const emitItemEvent = async (io, restaurant, itemId, event, payload) => {
+  io.to(`restaurant-${restaurant._id}`).emit(event, payload);
+
+  const displays = await Display.find({ _id: { $in: await displaysShowingItems([itemId]) } }, 'soldOutMode');
+  displays.forEach(display => {
+    io.to(`display-${display._id}`).emit(event, { ...payload, soldOutMode: display.soldOutMode });
+  });
+};
+
+// Send an updated item to the restaurant's dashboards and every display showing it
+const emitItemUpdated = (io, restaurant, item) =>
+  emitItemEvent(io, restaurant, item._id, 'item-updated', { item: formatItem(item, pricingOf(restaurant)) });
+
+module.exports = {
+  DISPLAY_CONTENT_POPULATE,
+  isPopulated,
+  buildRotation,
+  displayPricing,
+  emitRotation,
+  displaysShowingMenus,
+  displaysShowingItems,
+  emitItemEvent,
+  emitItemUpdated
+};
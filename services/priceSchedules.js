@@ -0,0 +1,210 @@
+const Item = require('../models/Item');
+const PriceSchedule = require('../models/PriceSchedule');
+const Restaurant = require('../models/Restaurant');
+const { timeToMinutes, getLocalTime } = require('./scheduleResolver');
+const { emitItemUpdated } = require('./playlists');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Prices a schedule gives an item: { price, variants: Map(variantId -> price) }.
+// Variants the schedule doesn't name keep their price.
+const pricesFor = (item, schedule) => {
+  const variants = new Map();
+
+  if (schedule.percentOff) {
+    const discount = (price) => Math.round(price * (100 - schedule.percentOff) / 100);
+    item.variants.forEach(variant => variants.set(variant._id.toString(), discount(variant.price)));
+    return { price: discount(item.price), variants };
+  }
+
+  (schedule.variantPrices || []).forEach(entry => {
+    if (item.variants.id(entry.variant)) variants.set(entry.variant.toString(), entry.price);
+  });
+  return { price: schedule.price, variants };
+};
+
+// Set the item's regular prices from a price change
+const applyPriceChange = (item, schedule) => {
+  const { price, variants } = pricesFor(item, schedule);
+  item.variants.forEach(variant => {
+    if (variants.has(variant._id.toString())) variant.price = variants.get(variant._id.toString());
+  });
+  // With variants the item price follows them on save
+  if (item.variants.length === 0 && price !== undefined && price !== null) item.price = price;
+  // A linked item's own price stops following the catalog
+  if (item.catalogItem) item.overrides.price = true;
+};
+
+// The Item.priceOverride a recurring schedule puts on the item
+const overrideFor = (item, schedule) => {
+  const { price, variants } = pricesFor(item, schedule);
+  const variantPrices = item.variants.map(variant => ({
+    variant: variant._id,
+    price: variants.has(variant._id.toString()) ? variants.get(variant._id.toString()) : variant.price
+  }));
+
+  // Like the regular price, the item price of a variant item is its lowest available variant price
+  let itemPrice = price;
+  if (item.variants.length > 0) {
+    const available = variantPrices.filter((entry, index) => item.variants[index].isAvailable);
+    itemPrice = Math.min(...(available.length ? available : variantPrices).map(entry => entry.price));
+  }
+
+  return {
+    priceSchedule: schedule._id,
+    name: schedule.name,
+    price: itemPrice === undefined ? null : itemPrice,
+    variants: variantPrices
+  };
+};
+
+const sameOverride = (a, b) => JSON.stringify(a || null) === JSON.stringify(b || null);
+
+const plainOverride = (override) => (override ? {
+  priceSchedule: override.priceSchedule,
+  name: override.name,
+  price: override.price,
+  variants: override.variants.map(({ variant, price }) => ({ variant, price }))
+} : null);
+
+// Whether a recurring schedule's window is open at a local moment (start inclusive, end exclusive)
+const recurringAppliesAt = (schedule, local) =>
+  schedule.daysOfWeek.includes(local.dayOfWeek) &&
+  (!schedule.startDate || local.date >= schedule.startDate) &&
+  (!schedule.endDate || local.date <= schedule.endDate) &&
+  timeToMinutes(schedule.startTime) <= local.minutes &&
+  local.minutes < timeToMinutes(schedule.endTime);
+
+// When windows overlap the later-starting one wins, then the last edited
+const compareRecurring = (a, b) =>
+  timeToMinutes(b.startTime) - timeToMinutes(a.startTime) ||
+  new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0);
+
+// Open or close an item's price override to match its recurring schedules;
+// returns whether the item changed
+const syncPriceOverride = async (item, schedules, timeZone, now = new Date()) => {
+  const local = getLocalTime(now, timeZone);
+  const active = schedules.filter(schedule => recurringAppliesAt(schedule, local)).sort(compareRecurring)[0];
+  const desired = active ? overrideFor(item, active) : null;
+  if (sameOverride(plainOverride(item.priceOverride), desired)) return false;
+
+  const previous = item.priceOverride ? item.priceOverride.priceSchedule : null;
+  item.priceOverride = desired;
+  item.$locals.priceChange = desired
+    ? { reason: 'override-started', priceSchedule: desired.priceSchedule }
+    : { reason: 'override-ended', priceSchedule: previous };
+  await item.save();
+  return true;
+};
+
+// Map each item to the restaurant that owns it
+const restaurantsByItem = async (itemIds) => {
+  const restaurants = await Restaurant.find({ items: { $in: itemIds } }, 'items timezone currency locale');
+  const byItem = new Map();
+  restaurants.forEach(restaurant => {
+    restaurant.items.forEach(id => byItem.set(id.toString(), restaurant));
+  });
+  return byItem;
+};
+
+// Apply price changes that came due and open or close recurring price
+// windows, then push the new prices to dashboards and displays
+const runPriceTick = async (io, now = new Date()) => {
+  const changed = new Map();
+
+  const due = await PriceSchedule.find({
+    type: 'change',
+    isActive: true,
+    appliedAt: null,
+    effectiveAt: { $lte: now }
+  }).sort({ effectiveAt: 1 });
+
+  for (const schedule of due) {
+    const key = schedule.item.toString();
+    try {
+      const item = changed.get(key) || await Item.findById(schedule.item);
+      if (item) {
+        applyPriceChange(item, schedule);
+        item.$locals.priceChange = { reason: 'scheduled', priceSchedule: schedule._id, changedBy: schedule.createdBy };
+        await item.save();
+        changed.set(key, item);
+        console.log(`💲 Price change ${schedule._id} applied to item ${item._id}`);
+      }
+      schedule.appliedAt = now;
+      await schedule.save();
+    } catch (error) {
+      // Switch it off, or it fails again every minute and holds up the changes after it
+      console.error(`Price change ${schedule._id} error:`, error);
+      await PriceSchedule.updateOne({ _id: schedule._id }, { isActive: false });
+      // The copy holds the unsaved prices; start again from what was saved
+      if (changed.has(key)) {
+        const saved = await Item.findById(schedule.item);
+        if (saved) changed.set(key, saved);
+        else changed.delete(key);
+      }
+    }
+  }
+
+  // No time zone is more than a day behind UTC, so anything ending before yesterday is over
+  const yesterday = new Date(now.getTime() - DAY).toISOString().slice(0, 10);
+  const recurring = await PriceSchedule.find({
+    type: 'recurring',
+    isActive: true,
+    $or: [{ endDate: null }, { endDate: { $gte: yesterday } }]
+  });
+
+  const schedulesByItem = new Map();
+  recurring.forEach(schedule => {
+    const key = schedule.item.toString();
+    if (!schedulesByItem.has(key)) schedulesByItem.set(key, []);
+    schedulesByItem.get(key).push(schedule);
+  });
+
+  const items = await Item.find({
+    $or: [
+      { _id: { $in: [...schedulesByItem.keys()] } },
+      { priceOverride: { $ne: null } }
+    ]
+  });
+  const allIds = [...new Set([...items.map(item => item._id.toString()), ...changed.keys()])];
+  const restaurants = await restaurantsByItem(allIds);
+
+  for (const loaded of items) {
+    const key = loaded._id.toString();
+    // Reuse the copy a price change just saved
+    const item = changed.get(key) || loaded;
+    const restaurant = restaurants.get(key);
+    const timeZone = restaurant ? restaurant.timezone : 'UTC';
+
+    try {
+      if (await syncPriceOverride(item, schedulesByItem.get(key) || [], timeZone, now)) {
+        changed.set(key, item);
+        console.log(`💲 Item ${key} ${item.priceOverride ? `now at ${item.priceOverride.name || 'override'} prices` : 'back to regular prices'}`);
+      }
+    } catch (error) {
+      // Retried next tick; the other items still open and close their windows
+      console.error(`Price override of item ${key} error:`, error);
+      // Announce the prices as saved, not the override that failed
+      if (changed.has(key)) changed.set(key, loaded);
+    }
+  }
+
+  for (const [key, item] of changed) {
+    const restaurant = restaurants.get(key);
+    if (!restaurant) continue;
+    try {
+      await emitItemUpdated(io, restaurant, item);
+    } catch (error) {
+      console.error(`Item ${key} update broadcast error:`, error);
+    }
+  }
+};
+
+module.exports = {
+  pricesFor,
+  applyPriceChange,
+  overrideFor,
+  syncPriceOverride,
+  restaurantsByItem,
+  runPriceTick
+};
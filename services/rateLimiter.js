@@ -0,0 +1,162 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+// A store keeps windowed counters:
+//   increment(key, windowMs) -> { count, resetAt }, starting a new window when the last one expired
+//   get(key)                 -> { count, resetAt } or null when there is no live window
+//   reset(key)
+// The in-memory store only sees its own process; use the Mongo store when
+// running several instances so they share counters.
+
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  const live = (key) => {
+    const entry = counters.get(key);
+    if (entry && entry.resetAt > Date.now()) return entry;
+    counters.delete(key);
+    return null;
+  };
+
+  // Drop expired windows so the map does not grow without bound
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((entry, key) => {
+      if (entry.resetAt <= now) counters.delete(key);
+    });
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const entry = live(key) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count += 1;
+      counters.set(key, entry);
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    async get(key) {
+      const entry = live(key);
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+};
+
+const createMongoStore = () => {
+  // Atomically bump the counter, or restart it when its window has expired
+  const upsert = (key, windowMs) => {
+    const now = new Date();
+    const live = { $gt: ['$expiresAt', now] };
+    return RateLimitCounter.findOneAndUpdate({ key }, [{
+      $set: {
+        count: { $cond: [live, { $add: ['$count', 1] }, 1] },
+        expiresAt: { $cond: [live, '$expiresAt', new Date(now.getTime() + windowMs)] }
+      }
+    }], { upsert: true, new: true }).lean();
+  };
+
+  return {
+    async increment(key, windowMs) {
+      let counter;
+      try {
+        counter = await upsert(key, windowMs);
+      } catch (error) {
+        // Two instances upserted the same new key; the loser retries as an update
+        if (error.code !== 11000) throw error;
+        counter = await upsert(key, windowMs);
+      }
+      return { count: counter.count, resetAt: counter.expiresAt.getTime() };
+    },
+    async get(key) {
+      const counter = await RateLimitCounter.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+      return counter ? { count: counter.count, resetAt: counter.expiresAt.getTime() } : null;
+    },
+    async reset(key) {
+      await RateLimitCounter.deleteOne({ key });
+    }
+  };
+};
+
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+let store = null;
+
+// RATE_LIMIT_STORE picks the store; created on first use
+const getStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!stores[name]) {
+      console.warn(`⚠️ Unknown RATE_LIMIT_STORE "${name}", using memory`);
+    }
+    store = (stores[name] || createMemoryStore)();
+  }
+  return store;
+};
+
+// Register a custom store implementing increment/get/reset
+const setStore = (nextStore) => {
+  store = nextStore || null;
+};
+
+// Count a request against a fixed window of `max` requests per `windowMs`
+const consume = async (key, { max, windowMs }) => {
+  const { count, resetAt } = await getStore().increment(`hits:${key}`, windowMs);
+  return {
+    allowed: count <= max,
+    limit: max,
+    remaining: Math.max(0, max - count),
+    resetAt
+  };
+};
+
+// Milliseconds left on a lockout for the key, or 0 when not locked out
+const getLockout = async (key) => {
+  const entry = await getStore().get(`lockout:${key}`);
+  return entry ? Math.max(0, entry.resetAt - Date.now()) : 0;
+};
+
+// Record a failed attempt. `delay(failures)` returns how long to lock the key
+// out for after that many failures in the window (0 for no lockout).
+const registerFailure = async (key, { windowMs, delay }) => {
+  const { count } = await getStore().increment(`failures:${key}`, windowMs);
+  const lockoutMs = delay(count);
+  if (lockoutMs > 0) {
+    await getStore().increment(`lockout:${key}`, lockoutMs);
+  }
+  return lockoutMs;
+};
+
+// Forget failed attempts after a success
+const clearFailures = async (key) => {
+  await getStore().reset(`failures:${key}`);
+  await getStore().reset(`lockout:${key}`);
+};
+
+// Exponential backoff: free attempts first, then base, 2x base, 4x base... up to max
+const backoff = ({ freeAttempts, baseMs, maxMs }) => (failures) => {
+  if (failures <= freeAttempts) return 0;
+  return Math.min(maxMs, baseMs * 2 ** (failures - freeAttempts - 1));
+};
+
+// Pairing code guesses per client IP: a few free misses, then 1s, 2s, 4s... up to 5 minutes
+const PAIRING_FAILURE_POLICY = {
+  windowMs: 60 * 60 * 1000,
+  delay: backoff({ freeAttempts: 5, baseMs: 1000, maxMs: 5 * 60 * 1000 })
+};
+
+module.exports = {
+  PAIRING_FAILURE_POLICY,
+  createMemoryStore,
+  createMongoStore,
+  getStore,
+  setStore,
+  consume,
+  getLockout,
+  registerFailure,
+  clearFailures,
+  backoff
+};
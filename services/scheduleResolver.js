@@ -0,0 +1,124 @@
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Convert "HH:MM" to minutes since midnight
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Day of week for a "YYYY-MM-DD" calendar date
+const weekdayOf = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return DAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+};
+
+// Wall-clock date and time of an instant in the given IANA time zone
+const getLocalTime = (at, timeZone = 'UTC') => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'long',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(at).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    dayOfWeek: parts.weekday,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+const MINUTE = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// Next instant, after `from`, when the wall clock in the time zone reads
+// "HH:MM", e.g. opening time tomorrow
+const nextLocalTime = (time, timeZone = 'UTC', from = new Date()) => {
+  const start = new Date(Math.floor(from.getTime() / MINUTE) * MINUTE);
+  const target = timeToMinutes(time);
+  const ahead = (target - getLocalTime(start, timeZone).minutes + DAY_MINUTES) % DAY_MINUTES || DAY_MINUTES;
+  const at = new Date(start.getTime() + ahead * MINUTE);
+
+  // A daylight saving change in between moves the wall clock; shift back onto the target
+  let drift = target - getLocalTime(at, timeZone).minutes;
+  if (drift > DAY_MINUTES / 2) drift -= DAY_MINUTES;
+  if (drift < -DAY_MINUTES / 2) drift += DAY_MINUTES;
+  const corrected = new Date(at.getTime() + drift * MINUTE);
+  // Times skipped by the change (02:30 when clocks jump to 03:00) fall just after it
+  return corrected > from && getLocalTime(corrected, timeZone).minutes === target ? corrected : at;
+};
+
+const isDated = (schedule) => Boolean(schedule.dates && schedule.dates.length);
+
+// Whether a calendar date falls within the rule's optional start/end dates
+const inDateRange = (schedule, date) =>
+  (!schedule.startDate || date >= schedule.startDate) &&
+  (!schedule.endDate || date <= schedule.endDate);
+
+// Whether the rule runs on a calendar date, ignoring its time window
+const appliesOnDate = (schedule, date) => {
+  if (!inDateRange(schedule, date)) return false;
+  return isDated(schedule) ? schedule.dates.includes(date) : schedule.dayOfWeek === weekdayOf(date);
+};
+
+// Whether the rule covers a local moment (start inclusive, end exclusive)
+const appliesAt = (schedule, local) =>
+  schedule.isActive !== false &&
+  appliesOnDate(schedule, local.date) &&
+  timeToMinutes(schedule.startTime) <= local.minutes &&
+  local.minutes < timeToMinutes(schedule.endTime);
+
+// Priority first, then one-off dates over weekly rules, then the later-starting slot
+const compareSchedules = (a, b) =>
+  (b.priority || 0) - (a.priority || 0) ||
+  Number(isDated(b)) - Number(isDated(a)) ||
+  timeToMinutes(b.startTime) - timeToMinutes(a.startTime) ||
+  new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0);
+
+// Pick the winning rule for an instant, or null when nothing is scheduled
+const resolveSchedule = (schedules, at = new Date(), timeZone = 'UTC') => {
+  const local = getLocalTime(at, timeZone);
+  const matches = schedules.filter(schedule => appliesAt(schedule, local));
+  return matches.sort(compareSchedules)[0] || null;
+};
+
+// Whether two rules can ever run on the same calendar day
+const shareADay = (a, b) => {
+  if (!isDated(a) && !isDated(b)) {
+    const start = [a.startDate, b.startDate].filter(Boolean).sort().pop();
+    const end = [a.endDate, b.endDate].filter(Boolean).sort()[0];
+    return a.dayOfWeek === b.dayOfWeek && (!start || !end || start <= end);
+  }
+  const [dated, other] = isDated(a) ? [a, b] : [b, a];
+  return dated.dates.some(date => appliesOnDate(dated, date) && appliesOnDate(other, date));
+};
+
+// Rules conflict when they share a display, priority, day and time range.
+// Different priorities may overlap: the higher one simply wins.
+const schedulesOverlap = (a, b) => {
+  if (a.display.toString() !== b.display.toString() || (a.priority || 0) !== (b.priority || 0)) {
+    return false;
+  }
+  return shareADay(a, b) &&
+    timeToMinutes(a.startTime) < timeToMinutes(b.endTime) &&
+    timeToMinutes(b.startTime) < timeToMinutes(a.endTime);
+};
+
+module.exports = {
+  DAYS,
+  timeToMinutes,
+  weekdayOf,
+  getLocalTime,
+  nextLocalTime,
+  appliesAt,
+  resolveSchedule,
+  schedulesOverlap
+};
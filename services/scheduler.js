@@ -0,0 +1,125 @@
+const Schedule = require('../models/Schedule');
+const Display = require('../models/Display');
+const Restaurant = require('../models/Restaurant');
+const { resolveSchedule } = require('./scheduleResolver');
+const { emitRotation } = require('./playlists');
+const { runPriceTick } = require('./priceSchedules');
+const { runRestoreTick } = require('./availability');
+const { runStockResetTick } = require('./inventory');
+
+const TICK_INTERVAL = 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Map each display to the time zone of the restaurant that owns it
+const loadTimeZones = async (displayIds) => {
+  const restaurants = await Restaurant.find({ displays: { $in: displayIds } }, 'displays timezone');
+  const timeZones = new Map();
+  restaurants.forEach(restaurant => {
+    restaurant.displays.forEach(id => timeZones.set(id.toString(), restaurant.timezone || 'UTC'));
+  });
+  return timeZones;
+};
+
+// Switch every display whose active slot changed since the last tick
+const runSchedulerTick = async (io, now = new Date()) => {
+  // No time zone is more than a day behind UTC, so anything ending before yesterday is over
+  const yesterday = new Date(now.getTime() - DAY).toISOString().slice(0, 10);
+  const schedules = await Schedule.find({
+    isActive: true,
+    $or: [{ endDate: null }, { endDate: { $gte: yesterday } }]
+  });
+
+  const schedulesByDisplay = new Map();
+  schedules.forEach(schedule => {
+    const key = schedule.display.toString();
+    if (!schedulesByDisplay.has(key)) schedulesByDisplay.set(key, []);
+    schedulesByDisplay.get(key).push(schedule);
+  });
+
+  const displays = await Display.find({
+    $or: [
+      { _id: { $in: [...schedulesByDisplay.keys()] } },
+      { activeSchedule: { $ne: null } }
+    ]
+  });
+  const timeZones = await loadTimeZones(displays.map(display => display._id));
+
+  for (const display of displays) {
+    const key = display._id.toString();
+    const active = resolveSchedule(schedulesByDisplay.get(key) || [], now, timeZones.get(key));
+    const activeId = active ? active._id.toString() : null;
+    const previousId = display.activeSchedule ? display.activeSchedule.toString() : null;
+
+    // Still inside the same slot (or still outside any slot): leave manual changes alone
+    if (activeId === previousId) continue;
+
+    display.activeSchedule = active ? active._id : null;
+    if (active) {
+      display.currentMenu = active.menu;
+    }
+    await display.save();
+
+    if (active) {
+      console.log(`⏰ Schedule ${activeId} switched display ${display._id} to menu ${active.menu}`);
+      io.to(`display-${display._id}`).emit('menu-assigned', {
+        displayId: display._id,
+        menuId: active.menu,
+        scheduleId: active._id
+      });
+      await emitRotation(io, [display._id]);
+    }
+  }
+};
+
+// Start the background scheduler, ticking at the top of every minute. Each
+// tick switches scheduled menus, applies scheduled prices, brings back
+// sold-out items and resets daily stock counts that are due.
+const startScheduler = (io) => {
+  let running = false;
+  let interval = null;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runSchedulerTick(io);
+    } catch (error) {
+      console.error('Scheduler tick error:', error);
+    }
+    try {
+      await runPriceTick(io);
+    } catch (error) {
+      console.error('Price tick error:', error);
+    }
+    try {
+      await runRestoreTick(io);
+    } catch (error) {
+      console.error('Restore tick error:', error);
+    }
+    try {
+      await runStockResetTick(io);
+    } catch (error) {
+      console.error('Stock reset tick error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timeout = setTimeout(() => {
+    tick();
+    interval = setInterval(tick, TICK_INTERVAL);
+  }, TICK_INTERVAL - (Date.now() % TICK_INTERVAL));
+
+  console.log('⏰ Menu scheduler started');
+
+  return () => {
+    clearTimeout(timeout);
+    if (interval) clearInterval(interval);
+  };
+};
+
+module.exports = {
+  runSchedulerTick,
+  startScheduler
+};
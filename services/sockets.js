@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const proxyaddr = require('proxy-addr');
+const { authenticateSocket } = require('../middleware/auth');
+const { hasPermission } = require('../middleware/restaurantScope');
+const Display = require('../models/Display');
+const Restaurant = require('../models/Restaurant');
+const { recordHeartbeat } = require('./displayMonitor');
+const { getLockout, registerFailure, clearFailures, PAIRING_FAILURE_POLICY } = require('./rateLimiter');
+
+// Room authorization per principal. Each check resolves to true when the
+// connected user or display may receive events for the given document.
+const userCanView = async (user, query) => {
+  const restaurant = await Restaurant.findOne(query);
+  return hasPermission(restaurant, user, 'restaurant:view');
+};
+
+const authorizers = {
+  display: ({ user, display }, displayId) => {
+    if (display) return display._id.toString() === displayId;
+    return userCanView(user, { displays: displayId });
+  },
+  restaurant: ({ user }, restaurantId) => {
+    if (!user) return false;
+    return userCanView(user, { _id: restaurantId });
+  },
+  menu: ({ user, display }, menuId) => {
+    if (display) return Restaurant.exists({ menus: menuId, displays: display._id });
+    return userCanView(user, { menus: menuId });
+  }
+};
+
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+// Client IP, walking X-Forwarded-For only through the hops `trustProxy`
+// trusts, as Express does for req.ip. The handshake keeps the peer address
+// after a polling request's connection has closed.
+const socketIp = (socket, trustProxy) => proxyaddr({
+  headers: socket.handshake.headers,
+  socket: { remoteAddress: socket.handshake.address }
+}, trustProxy);
+
+// `trustProxy` is Express's compiled `trust proxy fn`; without it forwarded
+// headers are ignored
+const registerSocketHandlers = (io, { trustProxy = () => false } = {}) => {
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const { user, display } = socket.data;
+    console.log('🔌 Client connected:', socket.id, user ? `user ${user._id}` : display ? `display ${display._id}` : 'anonymous');
+
+    // Paired screens always listen on their own display room
+    if (display) {
+      socket.join(`display-${display._id}`);
+      socket.join(`device-${display._id}`);
+
+      // A connection counts as a heartbeat until the screen sends its own
+      recordHeartbeat(io, display._id).catch(error => console.error('Heartbeat error:', error));
+
+      socket.on('heartbeat', async (data, ack) => {
+        try {
+          await recordHeartbeat(io, display._id, data || {});
+          reply(ack, { ok: true });
+        } catch (error) {
+          console.error('Heartbeat error:', error);
+          reply(ack, { error: 'Failed to record heartbeat' });
+        }
+      });
+    }
+
+    Object.keys(authorizers).forEach(type => {
+      socket.on(`join-${type}`, async (id, ack) => {
+        // Screens may omit the ID to join their own display room
+        const targetId = type === 'display' && display && !id ? display._id.toString() : String(id);
+
+        try {
+          const allowed = (user || display) && mongoose.isValidObjectId(targetId) &&
+            await authorizers[type]({ user, display }, targetId);
+
+          if (!allowed) {
+            socket.emit('join-error', { room: type, id: targetId, error: 'Access denied' });
+            return reply(ack, { error: 'Access denied' });
+          }
+
+          socket.join(`${type}-${targetId}`);
+          console.log(`📺 Socket ${socket.id} joined ${type}-${targetId}`);
+          reply(ack, { ok: true, room: `${type}-${targetId}` });
+        } catch (error) {
+          console.error(`Join ${type} error:`, error);
+          reply(ack, { error: 'Failed to join room' });
+        }
+      });
+
+      socket.on(`leave-${type}`, (id, ack) => {
+        socket.leave(`${type}-${id}`);
+        reply(ack, { ok: true });
+      });
+    });
+
+    // Handle display pairing: unpaired screens wait here for `display-paired`
+    socket.on('pair-display', async (data, ack) => {
+      const code = data && data.pairingCode ? String(data.pairingCode).toUpperCase() : null;
+
+      const throttleKey = `pairing:${socketIp(socket, trustProxy)}`;
+
+      try {
+        // Shares the HTTP pairing backoff, so sockets can't be used to guess codes either
+        let lockoutMs = await getLockout(throttleKey);
+        if (lockoutMs > 0) {
+          const retryAfter = Math.ceil(lockoutMs / 1000);
+          socket.emit('join-error', { room: 'pairing', error: 'Too many invalid pairing codes', retryAfter });
+          return reply(ack, { error: 'Too many invalid pairing codes', retryAfter });
+        }
+
+        const valid = code && await Display.exists({ pairingCode: code, pairingCodeExpiresAt: { $gt: new Date() } });
+        if (!valid) {
+          lockoutMs = await registerFailure(throttleKey, PAIRING_FAILURE_POLICY);
+          const retryAfter = lockoutMs > 0 ? Math.ceil(lockoutMs / 1000) : undefined;
+          socket.emit('join-error', { room: 'pairing', error: 'Invalid or expired pairing code', retryAfter });
+          return reply(ack, { error: 'Invalid or expired pairing code', retryAfter });
+        }
+
+        await clearFailures(throttleKey);
+
+        socket.join(`pairing-${code}`);
+        console.log(`🔗 Display pairing with code: ${code}`);
+        reply(ack, { ok: true });
+      } catch (error) {
+        console.error('Pair display socket error:', error);
+        reply(ack, { error: 'Failed to join pairing room' });
+      }
+    });
+
+    socket.on('disconnect', () => {
+      console.log('🔌 Client disconnected:', socket.id);
+    });
+  });
+};
+
+module.exports = { registerSocketHandlers };
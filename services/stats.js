@@ -0,0 +1,36 @@
+const Display = require('../models/Display');
+const Restaurant = require('../models/Restaurant');
+
+// Counts for a single restaurant
+const restaurantStats = async (restaurant) => ({
+  totalMenus: restaurant.menus.length,
+  totalItems: restaurant.items.length,
+  totalDisplays: restaurant.displays.length,
+  onlineDisplays: await Display.countDocuments({ _id: { $in: restaurant.displays }, status: 'online' }),
+  totalSchedules: restaurant.schedules.length,
+  totalPlaylists: restaurant.playlists.length
+});
+
+// Per-location counts plus totals across every location of an organization
+const organizationStats = async (organization) => {
+  const restaurants = await Restaurant.find({ _id: { $in: organization.restaurants } });
+
+  const locations = [];
+  for (const restaurant of restaurants) {
+    locations.push({ id: restaurant._id, name: restaurant.name, ...(await restaurantStats(restaurant)) });
+  }
+
+  const totals = { totalLocations: locations.length };
+  ['totalMenus', 'totalItems', 'totalDisplays', 'onlineDisplays', 'totalSchedules', 'totalPlaylists'].forEach(key => {
+    totals[key] = locations.reduce((sum, location) => sum + location[key], 0);
+  });
+
+  return {
+    id: organization._id,
+    name: organization.name,
+    ...totals,
+    locations
+  };
+};
+
+module.exports = { restaurantStats, organizationStats };
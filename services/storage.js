@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const { FILE_TYPES, fileTypeOfExtension } = require('./fileType');
+
+// Uploads are stored under flat keys (e.g. "media-123.jpg") by a driver:
+//   put(key, buffer, { contentType })
+//   get(key)        -> readable stream, or null when missing
+//   exists(key)     -> boolean
+//   delete(key)     -> ignores missing keys
+//   list()          -> [{ key, lastModified }]
+//   serve(key, res) -> answers GET /uploads/:key (send the file or redirect to it)
+// Documents keep the stable `/uploads/<key>` URL, so switching drivers or
+// URL signing never rewrites stored data.
+
+const UPLOADS_PATH = '/uploads/';
+
+// Uploads share the API origin, so a stored file must never run as a page:
+// no sniffing, no scripts, and anything outside the media allowlist
+// (e.g. files stored before uploads were checked) downloads instead of rendering
+const UPLOAD_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox",
+  'Cross-Origin-Resource-Policy': 'cross-origin'
+};
+
+const createLocalDriver = ({ root }) => {
+  const filePath = (key) => path.join(root, path.basename(key));
+
+  return {
+    name: 'local',
+    async put(key, buffer) {
+      await fs.promises.mkdir(root, { recursive: true });
+      await fs.promises.writeFile(filePath(key), buffer);
+    },
+    async get(key) {
+      try {
+        await fs.promises.access(filePath(key));
+      } catch (error) {
+        return null;
+      }
+      return fs.createReadStream(filePath(key));
+    },
+    async exists(key) {
+      try {
+        await fs.promises.access(filePath(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    async delete(key) {
+      try {
+        await fs.promises.unlink(filePath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+    async list() {
+      let names;
+      try {
+        names = await fs.promises.readdir(root);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const entries = [];
+      for (const name of names.filter(name => !name.startsWith('.'))) {
+        const stats = await fs.promises.stat(path.join(root, name));
+        if (stats.isFile()) entries.push({ key: name, lastModified: stats.mtime });
+      }
+      return entries;
+    },
+    async serve(key, res) {
+      const type = fileTypeOfExtension(path.extname(key));
+      res.set('Content-Type', type ? type.mimeType : 'application/octet-stream');
+      res.set('Content-Disposition', type ? 'inline' : 'attachment');
+
+      res.sendFile(path.basename(key), { root, dotfiles: 'deny' }, (error) => {
+        if (error && !res.headersSent) {
+          res.status(error.status || 404).json({ error: 'File not found' });
+        }
+      });
+    }
+  };
+};
+
+// Any S3-compatible service: AWS S3, MinIO, Cloudflare R2, DigitalOcean Spaces...
+const createS3Driver = ({ bucket, prefix = '', region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, publicUrl, signedUrlTtl }) => {
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command
+  } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const objectKey = (key) => `${prefix}${path.basename(key)}`;
+
+  // Public (CDN) URL when configured, otherwise a short-lived signed URL
+  const url = async (key) => {
+    if (publicUrl) return `${publicUrl.replace(/\/$/, '')}/${objectKey(key)}`;
+    return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }), { expiresIn: signedUrlTtl });
+  };
+
+  const isMissing = (error) => error.name === 'NoSuchKey' || error.name === 'NotFound' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+  return {
+    name: 's3',
+    url,
+    async put(key, buffer, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: buffer,
+        ContentType: contentType,
+        // The bucket can't send our UPLOAD_HEADERS; at least keep unknown files from rendering
+        ContentDisposition: FILE_TYPES.some(type => type.mimeType === contentType) ? 'inline' : 'attachment'
+      }));
+    },
+    async get(key) {
+      try {
+        const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return Body;
+      } catch (error) {
+        if (isMissing(error)) return null;
+        throw error;
+      }
+    },
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (error) {
+        if (isMissing(error)) return false;
+        throw error;
+      }
+    },
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+    async list() {
+      const entries = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+        (page.Contents || []).forEach(object => {
+          entries.push({ key: object.Key.slice(prefix.length), lastModified: object.LastModified });
+        });
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return entries;
+    },
+    async serve(key, res) {
+      res.redirect(302, await url(key));
+    }
+  };
+};
+
+const drivers = {
+  local: () => createLocalDriver({
+    root: process.env.UPLOAD_PATH ? path.resolve(process.env.UPLOAD_PATH) : path.join(__dirname, '..', 'uploads')
+  }),
+  s3: () => createS3Driver({
+    bucket: process.env.S3_BUCKET,
+    prefix: process.env.S3_PREFIX || '',
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    publicUrl: process.env.S3_PUBLIC_URL,
+    signedUrlTtl: parseInt(process.env.S3_SIGNED_URL_TTL_SECONDS, 10) || 3600
+  })
+};
+
+let storage = null;
+
+// STORAGE_DRIVER picks the driver; created on first use
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    }
+    storage = drivers[name]();
+  }
+  return storage;
+};
+
+// Register a custom driver implementing the interface above
+const setStorage = (nextStorage) => {
+  storage = nextStorage || null;
+};
+
+// Stable URL stored in documents for an upload key
+const uploadUrl = (key) => `${UPLOADS_PATH}${key}`;
+
+// Upload key behind a stored URL, or null for URLs that are not uploads
+const keyFromUrl = (url) => (url && url.startsWith(UPLOADS_PATH) ? url.slice(UPLOADS_PATH.length) : null);
+
+// GET /uploads/:key
+const serveUpload = async (req, res) => {
+  try {
+    res.set(UPLOAD_HEADERS);
+    await getStorage().serve(req.params.key, res);
+  } catch (error) {
+    console.error('Serve upload error:', error);
+    res.status(500).json({ error: 'Failed to fetch file' });
+  }
+};
+
+module.exports = {
+  createLocalDriver,
+  createS3Driver,
+  getStorage,
+  setStorage,
+  uploadUrl,
+  keyFromUrl,
+  serveUpload
+};
@@ -0,0 +1,101 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+// Short-lived JWT carrying the user's current token version
+const signAccessToken = (user) => jwt.sign(
+  { userId: user._id, tokenVersion: user.tokenVersion || 0 },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Issue an access token and a new refresh token (in `family`, or a new one)
+const issueTokens = async (user, req, family = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: RefreshToken.hashToken(refreshToken),
+    family,
+    tokenVersion: user.tokenVersion || 0,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+    userAgent: req.headers['user-agent'],
+    ip: req.ip
+  });
+
+  return {
+    record,
+    tokens: {
+      token: signAccessToken(user),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    }
+  };
+};
+
+const revokeFamily = (family) => RefreshToken.updateMany(
+  { family, revokedAt: null },
+  { revokedAt: new Date() }
+);
+
+// Exchange a refresh token for a new pair. Returns null when the token is
+// unknown, expired, outdated or already used; reuse revokes its whole family.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const record = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(String(refreshToken)) });
+  if (!record) return null;
+
+  if (record.revokedAt) {
+    console.warn(`⚠️ Refresh token reuse detected for user ${record.user}; revoking session`);
+    await revokeFamily(record.family);
+    return null;
+  }
+
+  const user = await User.findById(record.user).populate('restaurant');
+  if (record.expiresAt <= new Date() || !user || (user.tokenVersion || 0) !== record.tokenVersion) {
+    await revokeFamily(record.family);
+    return null;
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  if (!claimed) {
+    await revokeFamily(record.family);
+    return null;
+  }
+
+  const { record: next, tokens } = await issueTokens(user, req, record.family);
+  await RefreshToken.updateOne({ _id: record._id }, { replacedBy: next._id });
+
+  return { user, tokens };
+};
+
+// Log out the session a refresh token belongs to
+const revokeRefreshToken = async (refreshToken) => {
+  const record = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(String(refreshToken)) });
+  if (!record) return false;
+
+  await revokeFamily(record.family);
+  return true;
+};
+
+// Log out every session: outstanding access tokens stop verifying and all
+// refresh tokens are revoked
+const revokeAllSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+module.exports = {
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions
+};
@@ -0,0 +1,109 @@
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../models/User');
+const Restaurant = require('../models/Restaurant');
+const Organization = require('../models/Organization');
+const Item = require('../models/Item');
+const CatalogItem = require('../models/CatalogItem');
+const itemRoutes = require('../routes/items');
+const organizationRoutes = require('../routes/organizations');
+const { authenticateToken } = require('../middleware/auth');
+
+// Updates keep the allergens or dietary tags they leave out, so a partial
+// update must not pair the stored half with a new half that contradicts it.
+// Queries are answered from memory; conflicting updates are refused before
+// anything is saved.
+const id = () => new mongoose.Types.ObjectId();
+
+const owner = User.hydrate({ _id: id(), email: 'owner@example.com', password: 'hash', name: 'Owner' });
+const veganItem = Item.hydrate({ _id: id(), name: 'Salad', price: 899, category: id(), dietaryTags: ['vegan'] });
+const dairyItem = Item.hydrate({ _id: id(), name: 'Pizza', price: 1299, category: id(), allergens: ['dairy'] });
+const restaurant = Restaurant.hydrate({ _id: id(), name: 'Alpha', owner: owner._id, items: [veganItem._id, dairyItem._id] });
+const organization = Organization.hydrate({ _id: id(), name: 'Group', owner: owner._id });
+const veganCatalogItem = CatalogItem.hydrate({ _id: id(), organization: organization._id, name: 'Bowl', price: 999, category: 'Mains', dietaryTags: ['vegan'] });
+const dairyCatalogItem = CatalogItem.hydrate({ _id: id(), organization: organization._id, name: 'Latte', price: 450, category: 'Drinks', allergens: ['dairy'] });
+
+const findIn = (docs) => async (docId) => docs.find(doc => doc._id.equals(docId)) || null;
+
+let server;
+let baseUrl;
+let saves = 0;
+
+const put = async (path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${jwt.sign({ userId: owner._id }, process.env.JWT_SECRET)}`
+    },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+  mock.method(User, 'findById', () => ({ populate: async () => owner }));
+  mock.method(Restaurant, 'findOne', async () => restaurant);
+  mock.method(Item, 'findById', findIn([veganItem, dairyItem]));
+  mock.method(Organization, 'findById', async () => organization);
+  mock.method(CatalogItem, 'findOne', async ({ _id }) => findIn([veganCatalogItem, dairyCatalogItem])(_id));
+  mock.method(Item.prototype, 'save', async () => { saves++; });
+  mock.method(CatalogItem.prototype, 'save', async () => { saves++; });
+
+  // Mounted as in index.js
+  const app = express();
+  app.use(express.json());
+  app.set('io', { to: () => ({ emit: () => {} }) });
+  app.use('/items', authenticateToken, itemRoutes);
+  app.use('/organizations', authenticateToken, organizationRoutes);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  mock.restoreAll();
+});
+
+describe('partial item updates keep allergens and dietary tags consistent', () => {
+  test('adding an allergen to a vegan item is a 400', async () => {
+    const response = await put(`/items/${veganItem._id}`, { name: 'Salad', price: 899, category: 'Salads', allergens: ['dairy'] });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /containing dairy can't be vegan/);
+  });
+
+  test('tagging an item with a stored allergen as vegan is a 400', async () => {
+    const response = await put(`/items/${dairyItem._id}`, { name: 'Pizza', price: 1299, category: 'Pizza', dietaryTags: ['vegan'] });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /containing dairy can't be vegan/);
+  });
+
+  test('nothing is saved', () => {
+    assert.equal(saves, 0);
+    assert.deepEqual([...veganItem.allergens], []);
+    assert.deepEqual([...dairyItem.dietaryTags], []);
+  });
+});
+
+describe('partial catalog item updates keep allergens and dietary tags consistent', () => {
+  test('adding an allergen to a vegan catalog item is a 400', async () => {
+    const response = await put(`/organizations/${organization._id}/catalog/${veganCatalogItem._id}`, { name: 'Bowl', price: 999, category: 'Mains', allergens: ['dairy'] });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /containing dairy can't be vegan/);
+  });
+
+  test('tagging a catalog item with a stored allergen as vegan is a 400', async () => {
+    const response = await put(`/organizations/${organization._id}/catalog/${dairyCatalogItem._id}`, { name: 'Latte', price: 450, category: 'Drinks', dietaryTags: ['vegan'] });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /containing dairy can't be vegan/);
+    assert.equal(saves, 0);
+  });
+});
@@ -0,0 +1,206 @@
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../models/User');
+const Restaurant = require('../models/Restaurant');
+const Display = require('../models/Display');
+const Menu = require('../models/Menu');
+const Schedule = require('../models/Schedule');
+const displayRoutes = require('../routes/displays');
+const menuRoutes = require('../routes/menus');
+const scheduleRoutes = require('../routes/schedules');
+const { authenticateToken } = require('../middleware/auth');
+
+// Two restaurants, each with an owner, a display, a menu and a schedule.
+// Queries are answered from memory, so no database is needed; every request
+// here is expected to be settled by the scoping middleware or the ownership
+// checks before a route touches the database.
+const id = () => new mongoose.Types.ObjectId();
+
+const createTenant = (name) => {
+  const owner = User.hydrate({ _id: id(), email: `${name}@example.com`, password: 'hash', name });
+  const staff = User.hydrate({ _id: id(), email: `${name}-staff@example.com`, password: 'hash', name: `${name} staff` });
+  const display = Display.hydrate({ _id: id(), name: `${name} display` });
+  const menu = Menu.hydrate({ _id: id(), name: `${name} menu`, items: [], sections: [] });
+  const schedule = Schedule.hydrate({
+    _id: id(),
+    menu: menu._id,
+    display: display._id,
+    dayOfWeek: 'Monday',
+    startTime: '09:00',
+    endTime: '11:00'
+  });
+  const restaurant = Restaurant.hydrate({
+    _id: id(),
+    name,
+    owner: owner._id,
+    members: [{ user: staff._id, role: 'staff' }],
+    displays: [display._id],
+    menus: [menu._id],
+    schedules: [schedule._id],
+    items: []
+  });
+
+  return { owner, staff, display, menu, schedule, restaurant };
+};
+
+const a = createTenant('alpha');
+const b = createTenant('bravo');
+const tenants = [a, b];
+
+const findIn = (docs) => async (docId) => docs.find(doc => doc._id.equals(docId)) || null;
+
+// Restaurant.findOne({ displays: id }) and friends, as the scoping layer asks
+const findRestaurantListing = async (query) => {
+  const [[field, docId]] = Object.entries(query);
+  return tenants.map(t => t.restaurant).find(r => (r[field] || []).some(ref => ref.equals(docId))) || null;
+};
+
+const tokenFor = (user) => jwt.sign({ userId: user._id }, process.env.JWT_SECRET);
+
+let server;
+let baseUrl;
+
+const request = async (method, path, user, body) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (user) headers.Authorization = `Bearer ${tokenFor(user)}`;
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+  const users = tenants.flatMap(t => [t.owner, t.staff]);
+  mock.method(User, 'findById', (userId) => ({ populate: () => findIn(users)(userId) }));
+  mock.method(Restaurant, 'findById', findIn(tenants.map(t => t.restaurant)));
+  mock.method(Restaurant, 'findOne', findRestaurantListing);
+  mock.method(Display, 'findById', findIn(tenants.map(t => t.display)));
+  mock.method(Menu, 'findById', findIn(tenants.map(t => t.menu)));
+  mock.method(Schedule, 'findById', findIn(tenants.map(t => t.schedule)));
+
+  // Mounted as in index.js
+  const app = express();
+  app.use(express.json());
+  app.set('io', { to: () => ({ emit: () => {} }) });
+  app.use('/displays', displayRoutes);
+  app.use('/menus', authenticateToken, menuRoutes);
+  app.use('/schedules', authenticateToken, scheduleRoutes);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  mock.restoreAll();
+});
+
+describe('cross-tenant access is denied', () => {
+  const routes = [
+    // requireRestaurant
+    ['GET', () => `/displays/restaurants/${b.restaurant._id}`],
+    ['POST', () => `/displays/restaurants/${b.restaurant._id}`],
+    ['GET', () => `/menus/restaurants/${b.restaurant._id}`],
+    ['POST', () => `/menus/restaurants/${b.restaurant._id}`],
+    ['GET', () => `/schedules/restaurants/${b.restaurant._id}`],
+    ['POST', () => `/schedules/restaurants/${b.restaurant._id}`],
+    // requireDisplay
+    ['GET', () => `/displays/${b.display._id}`],
+    ['GET', () => `/displays/${b.display._id}/schedule/preview`],
+    ['PUT', () => `/displays/${b.display._id}`],
+    ['PATCH', () => `/displays/${b.display._id}/assign-menu`],
+    ['POST', () => `/displays/${b.display._id}/upload-media`],
+    ['DELETE', () => `/displays/${b.display._id}/media`],
+    ['DELETE', () => `/displays/${b.display._id}`],
+    // requireMenu
+    ['GET', () => `/menus/${b.menu._id}`],
+    ['PUT', () => `/menus/${b.menu._id}`],
+    ['DELETE', () => `/menus/${b.menu._id}`],
+    // requireSchedule
+    ['GET', () => `/schedules/${b.schedule._id}`],
+    ['PUT', () => `/schedules/${b.schedule._id}`],
+    ['DELETE', () => `/schedules/${b.schedule._id}`]
+  ];
+
+  for (const [method, path] of routes) {
+    test(`${method} ${path().replace(/[a-f\d]{24}/, ':id')} returns 403 for another restaurant's owner`, async () => {
+      const response = await request(method, path(), a.owner);
+      assert.equal(response.status, 403);
+      assert.equal(response.body.error, 'Access denied');
+    });
+  }
+});
+
+describe('missing documents', () => {
+  const routes = [
+    ['GET', '/displays', 'Display'],
+    ['PUT', '/displays', 'Display'],
+    ['DELETE', '/displays', 'Display'],
+    ['GET', '/menus', 'Menu'],
+    ['PUT', '/menus', 'Menu'],
+    ['DELETE', '/menus', 'Menu'],
+    ['GET', '/schedules', 'Schedule'],
+    ['PUT', '/schedules', 'Schedule'],
+    ['DELETE', '/schedules', 'Schedule']
+  ];
+
+  for (const [method, prefix, label] of routes) {
+    test(`${method} ${prefix}/:id returns 404 for unknown and malformed IDs`, async () => {
+      for (const docId of [id(), 'not-an-id']) {
+        const response = await request(method, `${prefix}/${docId}`, a.owner);
+        assert.equal(response.status, 404);
+        assert.equal(response.body.error, `${label} not found`);
+      }
+    });
+  }
+});
+
+describe('permissions within a restaurant', () => {
+  test('staff may not change or delete a menu', async () => {
+    const write = await request('PUT', `/menus/${a.menu._id}`, a.staff, { name: 'Renamed' });
+    assert.equal(write.status, 403);
+
+    const remove = await request('DELETE', `/menus/${a.menu._id}`, a.staff);
+    assert.equal(remove.status, 403);
+  });
+
+  test('staff may not manage displays or schedules', async () => {
+    assert.equal((await request('PUT', `/displays/${a.display._id}`, a.staff, { name: 'Renamed' })).status, 403);
+    assert.equal((await request('DELETE', `/schedules/${a.schedule._id}`, a.staff)).status, 403);
+  });
+
+  test('requests without a token are rejected', async () => {
+    assert.equal((await request('GET', `/menus/${a.menu._id}`)).status, 401);
+    assert.equal((await request('DELETE', `/displays/${a.display._id}`)).status, 401);
+  });
+});
+
+describe('references to another restaurant', () => {
+  test('assigning another restaurant\'s menu to a display is a 404', async () => {
+    const response = await request('PATCH', `/displays/${a.display._id}/assign-menu`, a.owner, { menuId: b.menu._id });
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error, 'Menu not found');
+  });
+
+  test('a schedule cannot point at another restaurant\'s menu or display', async () => {
+    const slot = { dayOfWeek: 'Monday', startTime: '09:00', endTime: '11:00' };
+
+    const foreignMenu = await request('PUT', `/schedules/${a.schedule._id}`, a.owner, { ...slot, menu: b.menu._id, display: a.display._id });
+    assert.equal(foreignMenu.status, 400);
+    assert.equal(foreignMenu.body.error, 'Menu does not belong to this restaurant');
+
+    const foreignDisplay = await request('POST', `/schedules/restaurants/${a.restaurant._id}`, a.owner, { ...slot, menu: a.menu._id, display: b.display._id });
+    assert.equal(foreignDisplay.status, 400);
+    assert.equal(foreignDisplay.body.error, 'Display does not belong to this restaurant');
+  });
+});
@@ -0,0 +1,79 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Item = require('../models/Item');
+const PriceSchedule = require('../models/PriceSchedule');
+const Restaurant = require('../models/Restaurant');
+const { runPriceTick } = require('../services/priceSchedules');
+const { runRestoreTick } = require('../services/availability');
+
+// One failing item must not stop a tick. Queries are answered from memory and
+// saves are recorded; the first item's save throws.
+const id = () => new mongoose.Types.ObjectId();
+const now = new Date('2025-04-01T12:00:00Z');
+const io = { to: () => ({ emit: () => {} }) };
+
+let saved;
+let deactivated;
+
+beforeEach(() => {
+  saved = [];
+  deactivated = [];
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  mock.method(Restaurant, 'find', async () => []);
+  mock.method(PriceSchedule, 'updateOne', async ({ _id }, update) => { deactivated.push({ _id, ...update }); });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('price tick', () => {
+  test('a price change that fails is switched off and the rest still apply', async () => {
+    const broken = Item.hydrate({ _id: id(), name: 'Broken', price: 500, category: id() });
+    const fine = Item.hydrate({ _id: id(), name: 'Fine', price: 700, category: id() });
+    const schedules = [
+      PriceSchedule.hydrate({ _id: id(), item: broken._id, type: 'change', isActive: true, effectiveAt: now, price: 550 }),
+      PriceSchedule.hydrate({ _id: id(), item: fine._id, type: 'change', isActive: true, effectiveAt: now, price: 750 })
+    ];
+
+    // Due changes are sorted; no recurring windows
+    mock.method(PriceSchedule, 'find', (query) => query.type === 'change' ? { sort: async () => schedules } : Promise.resolve([]));
+    mock.method(Item, 'find', async () => []);
+    mock.method(Item, 'findById', async (itemId) => [broken, fine].find(item => item._id.equals(itemId)));
+    mock.method(Item.prototype, 'save', async function () {
+      if (this._id.equals(broken._id)) throw new Error('write conflict');
+      saved.push(this);
+    });
+    mock.method(PriceSchedule.prototype, 'save', async function () { saved.push(this); });
+
+    await runPriceTick(io, now);
+
+    assert.deepEqual(deactivated, [{ _id: schedules[0]._id, isActive: false }]);
+    assert.equal(fine.price, 750);
+    assert.ok(saved.includes(fine));
+    assert.equal(schedules[1].appliedAt.getTime(), now.getTime());
+    assert.equal(schedules[0].appliedAt, null);
+  });
+});
+
+describe('restore tick', () => {
+  test('an item that fails to save does not keep the others sold out', async () => {
+    const restoreAt = new Date(now.getTime() - 60 * 1000);
+    const broken = Item.hydrate({ _id: id(), name: 'Broken', price: 500, category: id(), isAvailable: false, restoreAt });
+    const fine = Item.hydrate({ _id: id(), name: 'Fine', price: 700, category: id(), isAvailable: false, restoreAt });
+
+    mock.method(Item, 'find', async () => [broken, fine]);
+    mock.method(Item.prototype, 'save', async function () {
+      if (this._id.equals(broken._id)) throw new Error('write conflict');
+      saved.push(this);
+    });
+
+    await runRestoreTick(io, now);
+
+    assert.deepEqual(saved, [fine]);
+    assert.equal(fine.isAvailable, true);
+    assert.equal(fine.restoreAt, null);
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+});
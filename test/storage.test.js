@@ -0,0 +1,256 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createLocalDriver, createS3Driver } = require('../services/storage');
+
+// Both drivers must behave the same through the storage interface. The S3
+// driver runs against S3_TEST_ENDPOINT (e.g. a local MinIO) when it is set,
+// otherwise against the in-process stand-in below.
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+};
+
+const escapeXml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Enough of the S3 REST API (path-style) for the driver: PutObject,
+// GetObject, HeadObject, DeleteObject and paginated ListObjectsV2. Requests
+// must be signed, by header or query string.
+const createS3StandIn = ({ bucket, pageSize = 2 }) => {
+  const objects = new Map();
+
+  const sendError = (res, status, code) => {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+  };
+
+  const listObjects = (res, query) => {
+    const prefix = query.get('prefix') || '';
+    const keys = [...objects.keys()].filter(key => key.startsWith(prefix)).sort();
+    const start = Number(query.get('continuation-token') || 0);
+    const page = keys.slice(start, start + pageSize);
+    const truncated = start + pageSize < keys.length;
+
+    const contents = page.map(key => {
+      const object = objects.get(key);
+      return `<Contents><Key>${escapeXml(key)}</Key><LastModified>${object.lastModified.toISOString()}</LastModified>` +
+        `<ETag>"${object.etag}"</ETag><Size>${object.body.length}</Size><StorageClass>STANDARD</StorageClass></Contents>`;
+    }).join('');
+
+    res.writeHead(200, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">` +
+      `<Name>${bucket}</Name><Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${page.length}</KeyCount><MaxKeys>${pageSize}</MaxKeys>` +
+      `<IsTruncated>${truncated}</IsTruncated>${contents}` +
+      (truncated ? `<NextContinuationToken>${start + pageSize}</NextContinuationToken>` : '') +
+      '</ListBucketResult>');
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://stand-in');
+    const body = await readAll(req);
+
+    if (!req.headers.authorization && !url.searchParams.has('X-Amz-Signature')) {
+      return sendError(res, 403, 'AccessDenied');
+    }
+
+    const [, requestBucket, ...rest] = url.pathname.split('/');
+    if (requestBucket !== bucket) return sendError(res, 404, 'NoSuchBucket');
+    const key = decodeURIComponent(rest.join('/'));
+
+    if (!key && req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+      return listObjects(res, url.searchParams);
+    }
+
+    const object = objects.get(key);
+    switch (req.method) {
+      case 'PUT': {
+        const etag = crypto.createHash('md5').update(body).digest('hex');
+        objects.set(key, {
+          body,
+          etag,
+          contentType: req.headers['content-type'],
+          contentDisposition: req.headers['content-disposition'],
+          lastModified: new Date()
+        });
+        res.writeHead(200, { ETag: `"${etag}"` });
+        return res.end();
+      }
+      case 'GET':
+      case 'HEAD':
+        if (!object) {
+          if (req.method === 'HEAD') {
+            res.writeHead(404);
+            return res.end();
+          }
+          return sendError(res, 404, 'NoSuchKey');
+        }
+        res.writeHead(200, {
+          'Content-Type': object.contentType || 'application/octet-stream',
+          'Content-Length': object.body.length,
+          ETag: `"${object.etag}"`,
+          'Last-Modified': object.lastModified.toUTCString()
+        });
+        return res.end(req.method === 'GET' ? object.body : undefined);
+      case 'DELETE':
+        objects.delete(key);
+        res.writeHead(204);
+        return res.end();
+      default:
+        return sendError(res, 405, 'MethodNotAllowed');
+    }
+  });
+
+  return { server, objects };
+};
+
+// The contract every driver shares; `setup` resolves to { storage, teardown }
+const describeDriver = (name, setup) => {
+  describe(`${name} storage driver`, () => {
+    let storage;
+    let teardown;
+
+    before(async () => {
+      ({ storage, teardown } = await setup());
+    });
+
+    after(() => teardown());
+
+    test('put, exists and get round-trip a file', async () => {
+      const data = Buffer.from('not really a jpeg');
+      await storage.put('media-1-1.jpg', data, { contentType: 'image/jpeg' });
+
+      assert.equal(await storage.exists('media-1-1.jpg'), true);
+      assert.deepEqual(await readAll(await storage.get('media-1-1.jpg')), data);
+    });
+
+    test('missing files are reported, not thrown', async () => {
+      assert.equal(await storage.exists('media-404-404.jpg'), false);
+      assert.equal(await storage.get('media-404-404.jpg'), null);
+      await storage.delete('media-404-404.jpg');
+    });
+
+    test('keys cannot leave the storage root', async () => {
+      await storage.put('../escape-1-1.png', Buffer.from('png'), { contentType: 'image/png' });
+      assert.equal(await storage.exists('escape-1-1.png'), true);
+      await storage.delete('escape-1-1.png');
+    });
+
+    test('list returns every key with its modification time', async () => {
+      const keys = ['item-2-1.png', 'item-2-2.png', 'item-2-3.png', 'item-2-4.png', 'item-2-5.png'];
+      for (const key of keys) {
+        await storage.put(key, Buffer.from(key), { contentType: 'image/png' });
+      }
+
+      const entries = await storage.list();
+      const listed = entries.map(entry => entry.key);
+      keys.forEach(key => assert.ok(listed.includes(key), `${key} is listed`));
+      entries.forEach(entry => assert.ok(entry.lastModified instanceof Date));
+    });
+
+    test('delete removes a file', async () => {
+      await storage.delete('media-1-1.jpg');
+      assert.equal(await storage.exists('media-1-1.jpg'), false);
+      assert.ok(!(await storage.list()).some(entry => entry.key === 'media-1-1.jpg'));
+    });
+  });
+};
+
+describeDriver('local', async () => {
+  const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'yardsign-storage-'));
+  return {
+    storage: createLocalDriver({ root }),
+    teardown: () => fs.promises.rm(root, { recursive: true, force: true })
+  };
+});
+
+// Each run gets its own prefix, so a shared bucket is left as it was
+const s3Options = {
+  bucket: process.env.S3_TEST_BUCKET || 'yardsign-test',
+  prefix: `test-${Date.now()}/`,
+  region: 'us-east-1',
+  forcePathStyle: true,
+  accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID || 'test',
+  secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY || 'test',
+  signedUrlTtl: 60
+};
+
+describeDriver('s3', async () => {
+  let server = null;
+  let endpoint = process.env.S3_TEST_ENDPOINT;
+  if (!endpoint) {
+    ({ server } = createS3StandIn({ bucket: s3Options.bucket }));
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}`;
+  }
+
+  const storage = createS3Driver({ ...s3Options, endpoint });
+  return {
+    storage,
+    teardown: async () => {
+      for (const { key } of await storage.list()) await storage.delete(key);
+      if (server) server.close();
+    }
+  };
+});
+
+describe('s3 storage driver serving', () => {
+  let standIn;
+  let endpoint;
+
+  before(async () => {
+    standIn = createS3StandIn({ bucket: s3Options.bucket });
+    standIn.server.listen(0);
+    await new Promise(resolve => standIn.server.once('listening', resolve));
+    endpoint = `http://127.0.0.1:${standIn.server.address().port}`;
+  });
+
+  after(() => standIn.server.close());
+
+  // Enough of an Express response for serve()
+  const redirectOf = async (storage, key) => {
+    let redirect;
+    await storage.serve(key, { redirect: (status, url) => { redirect = { status, url }; } });
+    return redirect;
+  };
+
+  test('redirects to a signed URL that fetches the file', async () => {
+    const storage = createS3Driver({ ...s3Options, endpoint });
+    await storage.put('media-3-1.jpg', Buffer.from('signed'), { contentType: 'image/jpeg' });
+
+    const { status, url } = await redirectOf(storage, 'media-3-1.jpg');
+    assert.equal(status, 302);
+    assert.ok(new URL(url).searchParams.has('X-Amz-Signature'));
+
+    const response = await fetch(url);
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), 'signed');
+  });
+
+  test('redirects to the public URL when one is configured', async () => {
+    const storage = createS3Driver({ ...s3Options, endpoint, publicUrl: 'https://cdn.example.com/' });
+
+    const { status, url } = await redirectOf(storage, 'media-3-1.jpg');
+    assert.equal(status, 302);
+    assert.equal(url, `https://cdn.example.com/${s3Options.prefix}media-3-1.jpg`);
+  });
+
+  test('stores media inline and anything else as an attachment', async () => {
+    const storage = createS3Driver({ ...s3Options, endpoint });
+    await storage.put('media-3-2.jpg', Buffer.from('jpeg'), { contentType: 'image/jpeg' });
+    await storage.put('media-3-3.html', Buffer.from('<script></script>'), { contentType: 'text/html' });
+
+    assert.equal(standIn.objects.get(`${s3Options.prefix}media-3-2.jpg`).contentDisposition, 'inline');
+    assert.equal(standIn.objects.get(`${s3Options.prefix}media-3-3.html`).contentDisposition, 'attachment');
+  });
+
+  test('requires a bucket', () => {
+    assert.throws(() => createS3Driver({ ...s3Options, bucket: undefined }), /S3_BUCKET is required/);
+  });
+});